@@ -0,0 +1,38 @@
+import { useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { accessToken } from './lib/session'
+import { createVendor } from './lib/vendors'
+import { useI18n } from './i18n'
+import VendorForm from './components/VendorForm'
+import SignInRequired from './components/SignInRequired'
+
+export default function AddVendor() {
+  const navigate = useNavigate()
+  const { tr } = useI18n()
+  const [token] = useState(accessToken)
+
+  const t = themeClasses
+
+  const create = async (payload) => {
+    const vendor = await createVendor(payload)
+    navigate('/', { state: { addedVendor: vendor } })
+  }
+
+  if (!token) {
+    return <SignInRequired title={tr('addVendor.title')} message={tr('addVendor.signInFirst')} theme={t} />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="mx-auto w-full max-w-lg bg-surface rounded-2xl shadow-xl p-6 space-y-4">
+        <div className="flex items-center">
+          <h1 className={`text-xl font-bold ${t.primaryText}`}>{tr('addVendor.title')}</h1>
+          <Link to="/" className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('addVendor.cancel')}</Link>
+        </div>
+
+        <VendorForm submitLabel={tr('addVendor.submit')} onSubmit={create} theme={t} />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,291 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { serviceKeys } from './lib/services'
+import { isAdmin } from './lib/auth'
+import { accessToken, storedUser } from './lib/session'
+import { api, errorMessage } from './lib/api'
+import { useI18n } from './i18n'
+import SignInRequired from './components/SignInRequired'
+import Stars from './components/Stars'
+
+const tabs = ['listings', 'payments', 'reviews', 'audit']
+
+// Each queue: where it loads from, which key holds the items, and its action base path
+const queues = {
+  listings: { url: '/api/admin/vendors?status=pending', key: 'vendors', actions: '/api/admin/vendors' },
+  payments: { url: '/api/admin/payments?status=pending', key: 'subscriptions', actions: '/api/admin/payments' },
+  reviews: { url: '/api/admin/reviews?status=reported', key: 'reviews', actions: '/api/admin/reviews' }
+}
+
+function ActionBar({ busy, onApprove, onReject, onEdit, approveLabel, rejectLabel }) {
+  const { tr } = useI18n()
+  return (
+    <div className="flex gap-2 pt-1">
+      <button disabled={busy} onClick={onApprove} className="px-3 py-1.5 rounded-lg bg-green-600 text-white text-xs disabled:opacity-60">
+        {approveLabel || tr('admin.approve')}
+      </button>
+      <button disabled={busy} onClick={onReject} className="px-3 py-1.5 rounded-lg bg-red-600 text-white text-xs disabled:opacity-60">
+        {rejectLabel || tr('admin.reject')}
+      </button>
+      {onEdit && (
+        <button disabled={busy} onClick={onEdit} className="px-3 py-1.5 rounded-lg bg-gray-100 text-xs disabled:opacity-60">
+          {tr('admin.edit')}
+        </button>
+      )}
+    </div>
+  )
+}
+
+function ListingEditor({ item, onSave, onCancel }) {
+  const { tr, serviceName } = useI18n()
+  const [draft, setDraft] = useState({
+    name: item.name || '',
+    service_type: item.service_type || serviceKeys[0],
+    phone: item.phone || '',
+    address: item.address || ''
+  })
+  const field = (k) => ({ value: draft[k], onChange: (e) => setDraft((d) => ({ ...d, [k]: e.target.value })) })
+  return (
+    <div className="space-y-2 text-sm">
+      <input {...field('name')} className="w-full rounded-lg border px-2 py-1.5" />
+      <select {...field('service_type')} className="w-full rounded-lg border px-2 py-1.5 bg-surface">
+        {serviceKeys.map((k) => <option key={k} value={k}>{serviceName(k)}</option>)}
+      </select>
+      <input {...field('phone')} className="w-full rounded-lg border px-2 py-1.5" placeholder={tr('addVendor.phone')} />
+      <input {...field('address')} className="w-full rounded-lg border px-2 py-1.5" placeholder={tr('addVendor.address')} />
+      <div className="flex gap-2">
+        <button onClick={() => onSave(draft)} className="px-3 py-1.5 rounded-lg bg-gray-900 text-surface text-xs">{tr('admin.save')}</button>
+        <button onClick={onCancel} className="px-3 py-1.5 rounded-lg bg-gray-100 text-xs">{tr('addVendor.cancel')}</button>
+      </div>
+    </div>
+  )
+}
+
+function ReviewEditor({ item, onSave, onCancel }) {
+  const { tr } = useI18n()
+  const [comment, setComment] = useState(item.comment || '')
+  return (
+    <div className="space-y-2 text-sm">
+      <textarea value={comment} onChange={(e) => setComment(e.target.value)} rows={3} className="w-full rounded-lg border px-2 py-1.5" />
+      <div className="flex gap-2">
+        <button onClick={() => onSave({ comment })} className="px-3 py-1.5 rounded-lg bg-gray-900 text-surface text-xs">{tr('admin.save')}</button>
+        <button onClick={onCancel} className="px-3 py-1.5 rounded-lg bg-gray-100 text-xs">{tr('addVendor.cancel')}</button>
+      </div>
+    </div>
+  )
+}
+
+function QueueItem({ tab, item, busy, onAction }) {
+  const { tr, serviceName } = useI18n()
+  const [editing, setEditing] = useState(false)
+
+  const reject = () => {
+    const reason = window.prompt(tr('admin.rejectReason'))
+    if (reason !== null) onAction(item, 'reject', { reason })
+  }
+  const save = async (changes) => {
+    if (await onAction(item, 'edit', changes)) setEditing(false)
+  }
+
+  return (
+    <li className="bg-surface rounded-xl shadow p-4 space-y-2">
+      {tab === 'listings' && (
+        <>
+          <div className="font-semibold text-gray-900">{item.name}</div>
+          <div className="text-xs text-gray-500">
+            {serviceName(item.service_type)} · {item.phone || '—'} · {item.owner_name || item.owner_id}
+          </div>
+          {item.address && <div className="text-sm text-gray-700">{item.address}</div>}
+          {editing && <ListingEditor item={item} onSave={save} onCancel={() => setEditing(false)} />}
+        </>
+      )}
+
+      {tab === 'payments' && (
+        <>
+          <div className="flex items-center gap-2">
+            <span className="font-semibold text-gray-900">{item.vendor_name}</span>
+            <span className="ms-auto font-mono text-sm" dir="ltr">{item.reference_code}</span>
+          </div>
+          <div className="text-xs text-gray-500">
+            {item.plan_name} · <span dir="ltr">Rs {Number(item.amount || 0).toLocaleString()}</span>
+          </div>
+          {item.proof_url && (
+            <a href={item.proof_url} target="_blank" rel="noreferrer">
+              <img src={item.proof_url} alt={tr('admin.receipt')} className="max-h-56 rounded-lg border" />
+            </a>
+          )}
+        </>
+      )}
+
+      {tab === 'reviews' && (
+        <>
+          <div className="flex items-center gap-2">
+            <Stars value={item.rating} size="text-xs" />
+            <span className="text-sm font-medium">{item.user_name}</span>
+            <span className="ms-auto text-xs text-red-600">{tr('admin.reports', { n: item.report_count || 1 })}</span>
+          </div>
+          <div className="text-xs text-gray-500">{item.vendor_name}</div>
+          {!editing && item.comment && <p className="text-sm text-gray-700">{item.comment}</p>}
+          {editing && <ReviewEditor item={item} onSave={save} onCancel={() => setEditing(false)} />}
+        </>
+      )}
+
+      {!editing && (
+        <ActionBar
+          busy={busy}
+          onApprove={() => onAction(item, 'approve')}
+          onReject={reject}
+          onEdit={tab === 'payments' ? null : () => setEditing(true)}
+          approveLabel={tab === 'reviews' ? tr('admin.keep') : null}
+          rejectLabel={tab === 'reviews' ? tr('admin.remove') : null}
+        />
+      )}
+    </li>
+  )
+}
+
+function AuditLog({ entries }) {
+  const { tr } = useI18n()
+  if (!entries.length) return <p className="text-sm text-gray-500">{tr('admin.auditEmpty')}</p>
+  return (
+    <div className="bg-surface rounded-xl shadow overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-xs text-gray-500 border-b">
+          <tr>
+            <th className="px-3 py-2 text-start">{tr('admin.when')}</th>
+            <th className="px-3 py-2 text-start">{tr('admin.who')}</th>
+            <th className="px-3 py-2 text-start">{tr('admin.action')}</th>
+            <th className="px-3 py-2 text-start">{tr('admin.target')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {entries.map((e) => (
+            <tr key={e.id}>
+              <td className="px-3 py-2 whitespace-nowrap text-gray-500">{new Date(e.created_at).toLocaleString()}</td>
+              <td className="px-3 py-2">{e.actor_name || e.actor_id}</td>
+              <td className="px-3 py-2 font-mono text-xs">{e.action}</td>
+              <td className="px-3 py-2">
+                <span className="text-gray-500">{e.target_type}</span> {e.target_label || e.target_id}
+                {e.note && <div className="text-xs text-gray-500">{e.note}</div>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Moderation console; the backend enforces the admin role, this only hides the UI
+export default function Admin() {
+  const { tr } = useI18n()
+  const [token] = useState(accessToken)
+  const [user] = useState(storedUser)
+  const [tab, setTab] = useState('listings')
+  const [items, setItems] = useState([])
+  const [audit, setAudit] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+  const latestLoad = useRef(0)
+
+  const t = themeClasses
+
+  // Only the newest load may touch state, so a slow response for an earlier tab
+  // cannot fill this tab's queue with items its actions would send to the wrong endpoint
+  const load = useCallback(async () => {
+    const loadId = ++latestLoad.current
+    setLoading(true)
+    setError('')
+    try {
+      const url = tab === 'audit' ? '/api/admin/audit' : queues[tab].url
+      const data = await api(url)
+      if (loadId !== latestLoad.current) return
+      if (tab === 'audit') setAudit(data?.entries || [])
+      else setItems(data?.[queues[tab].key] || [])
+    } catch {
+      if (loadId === latestLoad.current) setError(tr('admin.loadFailed'))
+    } finally {
+      if (loadId === latestLoad.current) setLoading(false)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tab, token])
+
+  useEffect(() => {
+    if (token && isAdmin(user)) load()
+  }, [load, token, user])
+
+  const switchTab = (k) => {
+    setItems([])
+    setTab(k)
+  }
+
+  const act = async (item, action, body = {}) => {
+    setBusyId(item.id)
+    setError('')
+    try {
+      const base = `${queues[tab].actions}/${encodeURIComponent(item.id)}`
+      const data = await api(action === 'edit' ? base : `${base}/${action}`, {
+        method: action === 'edit' ? 'PATCH' : 'POST',
+        json: body
+      })
+      if (action === 'edit') {
+        setItems((list) => list.map((i) => (i.id === item.id ? { ...i, ...body, ...(data?.item || {}) } : i)))
+      } else {
+        // Approved/rejected items leave the queue
+        setItems((list) => list.filter((i) => i.id !== item.id))
+      }
+      return true
+    } catch (e) {
+      setError(errorMessage(e, tr, 'admin.actionFailed'))
+      return false
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (!token) {
+    return <SignInRequired title={tr('admin.title')} message={tr('admin.signInFirst')} theme={t} />
+  }
+  if (!isAdmin(user)) {
+    return <SignInRequired title={tr('admin.title')} message={tr('admin.forbidden')} theme={t} />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="mx-auto w-full max-w-3xl space-y-4">
+        <div className="flex items-center">
+          <h1 className={`text-xl font-bold ${t.primaryText}`}>{tr('admin.title')}</h1>
+          <button onClick={load} className="ms-auto me-3 text-sm text-gray-500 hover:text-gray-700">{tr('header.refresh')}</button>
+          <Link to="/" className="text-sm text-gray-500 hover:text-gray-700">{tr('addVendor.backToMap')}</Link>
+        </div>
+
+        <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+          {tabs.map((k) => (
+            <button key={k} onClick={() => switchTab(k)} className={`flex-1 py-2 rounded-md ${tab === k ? 'bg-surface shadow font-medium' : ''}`}>
+              {tr(`admin.tab.${k}`)}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {loading && <p className="text-sm text-gray-500">{tr('detail.loading')}</p>}
+
+        {!loading && tab === 'audit' && <AuditLog entries={audit} />}
+
+        {!loading && tab !== 'audit' && (
+          items.length === 0 ? (
+            <p className="text-sm text-gray-500">{tr('admin.queueEmpty')}</p>
+          ) : (
+            <ul className="space-y-3">
+              {items.map((item) => (
+                <QueueItem key={item.id} tab={tab} item={item} busy={busyId === item.id} onAction={act} />
+              ))}
+            </ul>
+          )
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,83 +1,48 @@
-import { useEffect, useMemo, useState } from 'react'
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet'
-import 'leaflet/dist/leaflet.css'
-import L from 'leaflet'
-
-// Fix default icon paths for Leaflet in Vite
-import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png'
-import markerIcon from 'leaflet/dist/images/marker-icon.png'
-import markerShadow from 'leaflet/dist/images/marker-shadow.png'
-
-const DefaultIcon = L.icon({
-  iconUrl: markerIcon,
-  iconRetinaUrl: markerIcon2x,
-  shadowUrl: markerShadow,
-  iconSize: [25, 41],
-  iconAnchor: [12, 41]
-})
-L.Marker.prototype.options.icon = DefaultIcon
-
-// Fun, versatile color themes (no external API needed)
-const themes = {
-  emerald: {
-    name: 'Emerald',
-    primaryBg: 'bg-emerald-600',
-    primaryBgHover: 'hover:bg-emerald-700',
-    primaryText: 'text-emerald-700',
-    ring: 'focus:ring-emerald-600',
-    border: 'border-emerald-200',
-    chipActiveBorder: 'border-emerald-600'
-  },
-  sky: {
-    name: 'Sky',
-    primaryBg: 'bg-sky-600',
-    primaryBgHover: 'hover:bg-sky-700',
-    primaryText: 'text-sky-700',
-    ring: 'focus:ring-sky-600',
-    border: 'border-sky-200',
-    chipActiveBorder: 'border-sky-600'
-  },
-  fuchsia: {
-    name: 'Fuchsia',
-    primaryBg: 'bg-fuchsia-600',
-    primaryBgHover: 'hover:bg-fuchsia-700',
-    primaryText: 'text-fuchsia-700',
-    ring: 'focus:ring-fuchsia-600',
-    border: 'border-fuchsia-200',
-    chipActiveBorder: 'border-fuchsia-600'
-  },
-  amber: {
-    name: 'Amber',
-    primaryBg: 'bg-amber-600',
-    primaryBgHover: 'hover:bg-amber-700',
-    primaryText: 'text-amber-700',
-    ring: 'focus:ring-amber-600',
-    border: 'border-amber-200',
-    chipActiveBorder: 'border-amber-600'
-  },
-  lime: {
-    name: 'Lime',
-    primaryBg: 'bg-lime-600',
-    primaryBgHover: 'hover:bg-lime-700',
-    primaryText: 'text-lime-700',
-    ring: 'focus:ring-lime-600',
-    border: 'border-lime-200',
-    chipActiveBorder: 'border-lime-600'
-  }
-}
-const themeKeys = Object.keys(themes)
-
-const serviceLabels = {
-  tow_truck: 'Tow Truck',
-  mechanic: 'Mechanic',
-  hotel: 'Hotel',
-  medical: 'Medical',
-  car_wash: 'Car Wash',
-  electrician: 'Electrician',
-  plumber: 'Plumber'
-}
-
-const serviceKeys = Object.keys(serviceLabels)
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { MapContainer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet'
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom'
+import MarkerClusterGroup from 'react-leaflet-cluster'
+import { DEFAULT_CENTER, vendorLatLng } from './lib/leaflet'
+import { themes, themeKeys, themeClasses, CUSTOM_THEME, COLOR_MODES, saveAppearance } from './lib/themes'
+import { isAdmin, fetchMe, logout as endSession } from './lib/auth'
+import { accessToken, storedUser, saveUser } from './lib/session'
+import { SESSION_EXPIRED } from './lib/api'
+import { trackVendorEvent } from './lib/track'
+import { isOpenNow, pakistanNow } from './lib/hours'
+import { serviceKeys } from './lib/services'
+import { parseServices, formatServices, parseView, formatView } from './lib/mapUrl'
+import { distanceKm, RADIUS_STEPS } from './lib/geo'
+import { nearbyKey, saveNearby, loadNearby } from './lib/offlineCache'
+import { fetchNearbyVendors } from './lib/vendors'
+import { vendorIcon, clusterIconFactory } from './lib/markers'
+import useViewportVendors from './lib/useViewportVendors'
+import useRoute from './lib/useRoute'
+import useLiveLocation from './lib/useLiveLocation'
+import useFavorites from './lib/useFavorites'
+import useAppearance from './lib/useAppearance'
+import useCorridor from './lib/useCorridor'
+import { useI18n } from './i18n'
+import NearbyList from './components/NearbyList'
+import LocationSearch from './components/LocationSearch'
+import SosPanel from './components/SosPanel'
+import Stars from './components/Stars'
+import VerifiedBadge from './components/VerifiedBadge'
+import OpenStatus from './components/OpenStatus'
+import LanguageSwitch from './components/LanguageSwitch'
+import AuthScreen from './components/AuthScreen'
+import { RouteLine, RouteCard } from './components/RouteOverlay'
+import LiveMarker from './components/LiveMarker'
+import LiveTrackingBar from './components/LiveTrackingBar'
+import RequestHelpForm from './components/RequestHelpForm'
+import FavoritesPanel from './components/FavoritesPanel'
+import FavoriteButton from './components/FavoriteButton'
+import CorridorPanel, { CorridorEnds } from './components/CorridorPanel'
+import BaseTiles from './components/BaseTiles'
+
+const TRACKING_REFETCH_KM = 0.2
+
+// Colours come from CSS variables, so one icon function serves every theme
+const clusterIcon = clusterIconFactory(themeClasses)
 
 function Recenter({ center }) {
   const map = useMap()
@@ -87,28 +52,113 @@ function Recenter({ center }) {
   return null
 }
 
-function TextInput({ label, type = 'text', value, onChange, placeholder, ringClass }) {
+// Two-way sync between the map and the `at` query parameter. Settled moves are written
+// to the URL; a URL change the map did not make (back/forward) moves the map.
+const VIEW_SETTLE_MS = 800
+
+function UrlViewSync({ value, onChange }) {
+  const map = useMap()
+  const restoring = useRef(false)
+  const timer = useRef(null)
+
+  useEffect(() => {
+    const view = parseView(value)
+    if (!view || value === formatView(map.getCenter(), map.getZoom())) return
+    restoring.current = true
+    map.setView(view.center, view.zoom, { animate: false })
+  }, [value, map])
+
+  useMapEvents({
+    movestart: () => clearTimeout(timer.current),
+    moveend: () => {
+      if (restoring.current) {
+        restoring.current = false
+        return
+      }
+      clearTimeout(timer.current)
+      timer.current = setTimeout(() => onChange(formatView(map.getCenter(), map.getZoom())), VIEW_SETTLE_MS)
+    }
+  })
+
+  useEffect(() => () => clearTimeout(timer.current), [])
+  return null
+}
+
+// Keeps the map on the live position while tracking
+function FollowFix({ fix }) {
+  const map = useMap()
+  useEffect(() => {
+    if (fix) map.panTo(fix.position)
+  }, [fix, map])
+  return null
+}
+
+// Long-press (contextmenu) always sets the position; a plain click only while picking
+function PositionPicker({ picking, onPick }) {
+  useMapEvents({
+    contextmenu: (e) => onPick([e.latlng.lat, e.latlng.lng]),
+    click: (e) => {
+      if (picking) onPick([e.latlng.lat, e.latlng.lng])
+    }
+  })
+  return null
+}
+
+// Reports the visible area after every pan/zoom (and once on mount)
+function ViewportWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange({ bounds: map.getBounds(), zoom: map.getZoom() })
+  })
+  useEffect(() => {
+    onChange({ bounds: map.getBounds(), zoom: map.getZoom() })
+  }, [map, onChange])
+  return null
+}
+
+function OpenNowToggle({ active, onChange, theme }) {
+  const { tr } = useI18n()
+  return (
+    <button
+      onClick={() => onChange(!active)}
+      aria-pressed={active}
+      className={`shrink-0 me-2 rounded-full px-3 py-1 text-xs border ${
+        active ? `${theme.primaryBg} text-white ${theme.chipActiveBorder}` : 'bg-surface text-gray-700 border-gray-200'
+      }`}
+    >
+      {tr('hours.openNow')}
+    </button>
+  )
+}
+
+function RadiusSelect({ radius, searchedRadius, onChange }) {
+  const { tr } = useI18n()
   return (
-    <label className="block text-sm">
-      <span className="text-gray-700">{label}</span>
-      <input
-        type={type}
-        value={value}
-        onChange={(e) => onChange(e.target.value)}
-        placeholder={placeholder}
-        className={`mt-1 w-full rounded-lg border px-3 py-2 outline-none focus:ring-2 ${ringClass}`}
-      />
+    <label className="shrink-0 flex items-center gap-1 pe-3 text-xs text-gray-600">
+      <span>{tr('radius.within')}</span>
+      <select
+        value={radius}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="rounded-md border bg-surface px-1.5 py-1 text-xs"
+      >
+        {RADIUS_STEPS.map((km) => (
+          <option key={km} value={km}>{tr('radius.km', { km })}</option>
+        ))}
+      </select>
+      {searchedRadius > radius && <span className="text-gray-500">{tr('radius.widened', { km: searchedRadius })}</span>}
     </label>
   )
 }
 
+// Several types can be on at once; "All" clears the selection
 function CategoryChips({ active, onChange, theme }) {
+  const { tr, serviceName } = useI18n()
+  const toggle = (k) => onChange(active.includes(k) ? active.filter((a) => a !== k) : [...active, k])
   return (
     <div className="w-full overflow-x-auto no-scrollbar">
       <div className="flex gap-2 px-3 py-2">
-        <Chip label="All" active={!active} onClick={() => onChange('')} theme={theme} />
+        <Chip label={tr('service.all')} active={!active.length} onClick={() => onChange([])} theme={theme} />
         {serviceKeys.map((k) => (
-          <Chip key={k} label={serviceLabels[k]} active={active === k} onClick={() => onChange(k)} theme={theme} />
+          <Chip key={k} label={serviceName(k)} active={active.includes(k)} onClick={() => toggle(k)} theme={theme} />
         ))}
       </div>
     </div>
@@ -116,12 +166,12 @@ function CategoryChips({ active, onChange, theme }) {
 }
 
 function Chip({ label, active, onClick, theme }) {
-  const t = themes[theme]
   return (
     <button
       onClick={onClick}
+      aria-pressed={active}
       className={`shrink-0 rounded-full px-3 py-1.5 text-sm border shadow-sm ${
-        active ? `${t.primaryBg} text-white ${t.chipActiveBorder}` : 'bg-white text-gray-700 border-gray-200'
+        active ? `${theme.primaryBg} text-white ${theme.chipActiveBorder}` : 'bg-surface text-gray-700 border-gray-200'
       }`}
     >
       {label}
@@ -133,120 +183,44 @@ function FAB({ children, onClick, className = '' }) {
   return (
     <button
       onClick={onClick}
-      className={`rounded-full shadow-lg bg-white text-gray-800 p-3 hover:bg-gray-50 active:scale-95 transition ${className}`}
+      className={`rounded-full shadow-lg bg-surface text-gray-800 p-3 hover:bg-gray-50 active:scale-95 transition ${className}`}
     >
       {children}
     </button>
   )
 }
 
-function ThemeSelector({ theme, onChange }) {
+// Preset accents, a custom accent picker and the light/dark mode
+function ThemeSelector() {
+  const { tr } = useI18n()
+  const { theme, accent, mode } = useAppearance()
+  const optionClass = (active) => `h-7 px-2 rounded-lg border text-xs ${
+    active ? 'bg-gray-900 text-surface border-gray-900' : 'bg-surface text-gray-700 border-gray-200'
+  }`
   return (
     <div className="flex items-center gap-2">
       {themeKeys.map((k) => (
-        <button
-          key={k}
-          onClick={() => onChange(k)}
-          className={`h-7 px-2 rounded-lg border text-xs ${
-            theme === k ? 'bg-gray-900 text-white border-gray-900' : 'bg-white text-gray-700 border-gray-200'
-          }`}
-        >
+        <button key={k} onClick={() => saveAppearance({ theme: k })} className={optionClass(theme === k)}>
           {themes[k].name}
         </button>
       ))}
-    </div>
-  )
-}
-
-function AuthScreen({ onAuthed, onGuest, backend, theme }) {
-  const [mode, setMode] = useState('login') // 'login' | 'register'
-  const [phone, setPhone] = useState('')
-  const [email, setEmail] = useState('')
-  const [name, setName] = useState('')
-  const [password, setPassword] = useState('')
-  const [loading, setLoading] = useState(false)
-  const [error, setError] = useState('')
-
-  const canSubmit = password.length >= 6 && (phone || email)
-  const t = themes[theme]
-
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    if (!canSubmit) return
-    setLoading(true)
-    setError('')
-    try {
-      const endpoint = mode === 'register' ? '/api/auth/register' : '/api/auth/login'
-      const payload = mode === 'register'
-        ? { name: name || undefined, phone: phone || undefined, email: email || undefined, password }
-        : { phone: phone || undefined, email: email || undefined, password }
-      const res = await fetch(`${backend}${endpoint}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      })
-      if (!res.ok) {
-        const msg = await res.json().catch(() => ({}))
-        throw new Error(msg.detail || 'Authentication failed')
-      }
-      const data = await res.json()
-      const token = data.access_token
-      const user = data.user
-      localStorage.setItem('madad_token', token)
-      localStorage.setItem('madad_user', JSON.stringify(user))
-      onAuthed({ token, user })
-    } catch (e) {
-      setError(e.message)
-    } finally {
-      setLoading(false)
-    }
-  }
-
-  return (
-    <div className="min-h-screen w-screen flex items-center justify-center bg-gradient-to-b from-emerald-50 to-white p-4">
-      <div className="w-full max-w-md bg-white rounded-2xl shadow-xl p-6 space-y-5">
-        <div className="text-center space-y-1">
-          <div className={`text-2xl font-bold ${t.primaryText}`}>Madad</div>
-          <p className="text-xs text-gray-500">Pakistan’s map for help — tow, mechanic, hotel, medical and more</p>
-        </div>
-        <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
-          <button onClick={() => setMode('login')} className={`flex-1 py-2 rounded-md ${mode==='login'?'bg-white shadow font-medium':''}`}>Login</button>
-          <button onClick={() => setMode('register')} className={`flex-1 py-2 rounded-md ${mode==='register'?'bg-white shadow font-medium':''}`}>Register</button>
-        </div>
-        <form className="space-y-3" onSubmit={handleSubmit}>
-          {mode === 'register' && (
-            <TextInput label="Full Name" value={name} onChange={setName} placeholder="e.g. Ali Raza" ringClass={t.ring} />
-          )}
-          <TextInput label="Phone (preferred)" value={phone} onChange={setPhone} placeholder="03xx-xxxxxxx" ringClass={t.ring} />
-          <TextInput label="Email (optional)" type="email" value={email} onChange={setEmail} placeholder="you@example.com" ringClass={t.ring} />
-          <TextInput label="Password" type="password" value={password} onChange={setPassword} placeholder="At least 6 characters" ringClass={t.ring} />
-
-          {error && <div className="text-sm text-red-600">{error}</div>}
-
-          <button disabled={!canSubmit || loading} className={`w-full py-2.5 rounded-lg text-white disabled:opacity-60 ${t.primaryBg} ${t.primaryBgHover}`}>
-            {loading ? 'Please wait…' : (mode==='register' ? 'Create account' : 'Sign in')}
-          </button>
-        </form>
-
-        <div className="relative py-2 text-center">
-          <span className="px-2 text-xs text-gray-500 bg-white relative z-10">or</span>
-          <div className="absolute inset-x-0 top-1/2 -translate-y-1/2 h-px bg-gray-200" />
-        </div>
-
-        <div className="grid grid-cols-2 gap-2">
-          <button disabled className="py-2 rounded-lg border bg-white text-gray-600 disabled:opacity-70">Google (soon)</button>
-          <button disabled className="py-2 rounded-lg border bg-white text-gray-600 disabled:opacity-70">Apple (soon)</button>
-        </div>
-
-        <button onClick={onGuest} className={`w-full py-2 rounded-lg border text-emerald-700 hover:bg-emerald-50 ${t.border}`}>
-          Continue as Guest
-        </button>
-
-        <p className="text-[11px] text-center text-gray-500">Guest can browse the map. Sign in to add vendors and manage subscriptions.</p>
-        <div className="text-[11px] text-center text-gray-500">
-          Payments: bank transfer will be available. No card or API required.
-        </div>
-      </div>
+      <label className={`${optionClass(theme === CUSTOM_THEME)} flex items-center gap-1 cursor-pointer`}>
+        <input
+          type="color"
+          value={accent}
+          onChange={(e) => saveAppearance({ theme: CUSTOM_THEME, accent: e.target.value })}
+          className="h-4 w-4 cursor-pointer border-0 bg-transparent p-0"
+        />
+        {tr('appearance.custom')}
+      </label>
+      <select
+        value={mode}
+        onChange={(e) => saveAppearance({ mode: e.target.value })}
+        aria-label={tr('appearance.mode')}
+        className="h-7 rounded-lg border bg-surface px-1 text-xs"
+      >
+        {COLOR_MODES.map((m) => <option key={m} value={m}>{tr(`appearance.${m}`)}</option>)}
+      </select>
     </div>
   )
 }
@@ -254,47 +228,106 @@ function AuthScreen({ onAuthed, onGuest, backend, theme }) {
 export default function App() {
   const [position, setPosition] = useState(null)
   const [vendors, setVendors] = useState([])
-  const [serviceType, setServiceType] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
 
+  const [radius, setRadius] = useState(() => Number(localStorage.getItem('madad_radius')) || 5)
+  const [searchedRadius, setSearchedRadius] = useState(radius)
+  const [showList, setShowList] = useState(false)
+  const [showFavorites, setShowFavorites] = useState(false)
+  const [selectedId, setSelectedId] = useState(null)
+  const [picking, setPicking] = useState(false)
+  const [showSos, setShowSos] = useState(false)
+  const [showMenu, setShowMenu] = useState(false) // header actions on phones
+  const [sortBy, setSortBy] = useState('distance') // 'distance' | 'rating'
+  const [openNow, setOpenNow] = useState(false)
+  const [clock, setClock] = useState(pakistanNow)
+  const [online, setOnline] = useState(() => navigator.onLine)
+  const [cachedAt, setCachedAt] = useState(null) // set when showing vendors from the offline cache
+  const mapRef = useRef(null)
+  const markerRefs = useRef({})
+  const clusterRef = useRef(null)
+  const [view, setView] = useState(null)
+  const [routeTo, setRouteTo] = useState(null) // vendor being routed to
+  const [tracking, setTracking] = useState(false)
+  const [helpFor, setHelpFor] = useState(null) // { vendor } or {} for a broadcast
+  const [corridor, setCorridor] = useState(null) // { from, to } while the highway search is open
+  const [corridorPick, setCorridorPick] = useState(null) // 'from' | 'to' while picking on the map
+  const [corridorBuffer, setCorridorBuffer] = useState(() => Number(localStorage.getItem('madad_corridor_km')) || 2)
+
   const [token, setToken] = useState(null)
   const [user, setUser] = useState(null)
   const [showAuthGate, setShowAuthGate] = useState(true)
 
-  const [theme, setTheme] = useState('emerald')
+  // A vendor just created on /vendors/new; kept apart so a refetch does not drop it
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [addedVendor] = useState(location.state?.addedVendor || null)
+  const [focus, setFocus] = useState(addedVendor ? vendorLatLng(addedVendor) : null)
+
+  // Service filter and map view live in the query string (see lib/mapUrl)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const serviceTypes = useMemo(() => parseServices(searchParams.get('services')), [searchParams])
+  const serviceType = serviceTypes.join(',') // '' for all; what the vendor libs and caches take
+  const viewParam = searchParams.get('at')
+  const [initialView] = useState(() => parseView(viewParam))
+  // A link with a view keeps it; the map only jumps to the user once they ask for it
+  const [autoCenter, setAutoCenter] = useState(!initialView)
+
+  const updateParams = (changes, { replace = false } = {}) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current)
+      for (const [k, v] of Object.entries(changes)) {
+        if (v) next.set(k, v)
+        else next.delete(k)
+      }
+      return next
+    }, { replace })
+  }
+
+  const setServiceTypes = (list) => updateParams({ services: formatServices(list) })
 
-  const backend = import.meta.env.VITE_BACKEND_URL || ''
+  // Each settled view is its own history entry so back/forward step through them; the
+  // first one and the stream of moves while tracking only replace the current entry
+  const handleViewChange = (at) => {
+    if (at !== viewParam) updateParams({ at }, { replace: !viewParam || tracking })
+  }
+
+  const { tr, serviceName } = useI18n()
+  const { vendors: areaVendors, tooFar } = useViewportVendors(serviceType, view)
 
   // Restore auth
   useEffect(() => {
-    const t = localStorage.getItem('madad_token')
-    const u = localStorage.getItem('madad_user')
+    const t = accessToken()
     if (t) setToken(t)
-    if (u) setUser(JSON.parse(u))
+    setUser(storedUser())
     setShowAuthGate(!t)
-
-    const savedTheme = localStorage.getItem('madad_theme')
-    if (savedTheme && themes[savedTheme]) setTheme(savedTheme)
   }, [])
 
-  // Verify token (optional; keeps session fresh)
+  // Refresh the stored user. Only a session the server rejects signs the user out (via
+  // SESSION_EXPIRED below); being offline or a server error keeps them signed in.
   useEffect(() => {
-    const verify = async () => {
-      if (!token) return
-      try {
-        const res = await fetch(`${backend}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } })
-        if (!res.ok) throw new Error('session invalid')
-      } catch {
-        localStorage.removeItem('madad_token')
-        localStorage.removeItem('madad_user')
-        setToken(null)
-        setUser(null)
-        setShowAuthGate(true)
-      }
+    if (!token) return
+    fetchMe()
+      .then((data) => {
+        const fresh = data?.user || data
+        if (fresh) {
+          saveUser(fresh)
+          setUser(fresh)
+        }
+      })
+      .catch(() => {})
+  }, [token])
+
+  useEffect(() => {
+    const expired = () => {
+      setToken(null)
+      setUser(null)
+      setShowAuthGate(true)
     }
-    verify()
-  }, [token, backend])
+    window.addEventListener(SESSION_EXPIRED, expired)
+    return () => window.removeEventListener(SESSION_EXPIRED, expired)
+  }, [])
 
   useEffect(() => {
     if (!navigator.geolocation) return
@@ -303,28 +336,47 @@ export default function App() {
         const { latitude, longitude } = pos.coords
         setPosition([latitude, longitude])
       },
-      () => setError('Location permission denied'),
+      () => setError(tr('map.locationDenied')),
       { enableHighAccuracy: true }
     )
   }, [])
 
+  const live = useLiveLocation(tracking)
+
+  // Every fix moves the marker, but the search position (and so the nearby fetch)
+  // only follows once the user has actually gone somewhere
+  useEffect(() => {
+    if (!live.fix) return
+    setPosition((p) => (!p || distanceKm(p, live.fix.position) >= TRACKING_REFETCH_KM ? live.fix.position : p))
+  }, [live.fix])
+
+  const toggleTracking = () => {
+    if (!tracking) {
+      setFocus(null)
+      setAutoCenter(true)
+    }
+    setTracking((on) => !on)
+  }
+
   const fetchNearby = async () => {
     if (!position) return
     setLoading(true)
     setError('')
     try {
-      const params = new URLSearchParams({
-        lat: String(position[0]),
-        lng: String(position[1]),
-        radius_km: '5'
-      })
-      if (serviceType) params.set('service_type', serviceType)
-      const res = await fetch(`${backend}/api/vendors/nearby?${params.toString()}`)
-      if (!res.ok) throw new Error('Failed to load')
-      const data = await res.json()
-      setVendors(data.vendors || [])
+      const { vendors: found, radiusKm: searched } = await fetchNearbyVendors({ position, serviceType, radiusKm: radius })
+      setVendors(found)
+      setSearchedRadius(searched)
+      setCachedAt(null)
+      saveNearby(nearbyKey(position, serviceType), { vendors: found, radiusKm: searched, serviceType })
     } catch (e) {
-      setError('Could not load nearby vendors')
+      const cached = await loadNearby(nearbyKey(position, serviceType), serviceType)
+      if (cached) {
+        setVendors(cached.vendors)
+        setSearchedRadius(cached.radiusKm)
+        setCachedAt(cached.savedAt)
+      } else {
+        setError(tr('map.loadFailed'))
+      }
     } finally {
       setLoading(false)
     }
@@ -333,9 +385,156 @@ export default function App() {
   useEffect(() => {
     fetchNearby()
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [position, serviceType])
+  }, [position, serviceType, radius])
+
+  // Refresh as soon as signal comes back
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true)
+      fetchNearby()
+    }
+    const goOffline = () => setOnline(false)
+    window.addEventListener('online', goOnline)
+    window.addEventListener('offline', goOffline)
+    return () => {
+      window.removeEventListener('online', goOnline)
+      window.removeEventListener('offline', goOffline)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [position, serviceType, radius])
+
+  useEffect(() => {
+    // Drop the router state so a reload does not re-add the vendor
+    if (location.state?.addedVendor) navigate(location.pathname + location.search, { replace: true, state: null })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  // Results around the user, plus whatever has been loaded for the visible map area
+  const shownVendors = useMemo(() => {
+    const byId = new Map()
+    for (const v of [...(addedVendor ? [addedVendor] : []), ...vendors, ...areaVendors]) {
+      if (!byId.has(v.id)) byId.set(v.id, v)
+    }
+    return [...byId.values()]
+  }, [vendors, areaVendors, addedVendor])
+
+  // Re-check opening hours every minute while the filter is on
+  useEffect(() => {
+    if (!openNow) return
+    setClock(pakistanNow())
+    const id = setInterval(() => setClock(pakistanNow()), 60 * 1000)
+    return () => clearInterval(id)
+  }, [openNow])
+
+  // Vendors without hours are left out: we cannot promise they are open
+  const filteredVendors = useMemo(
+    () => (openNow ? shownVendors.filter((v) => isOpenNow(v.hours, clock)) : shownVendors),
+    [shownVendors, openNow, clock]
+  )
+
+  const sortedVendors = useMemo(() => {
+    const list = position
+      ? filteredVendors.map((v) => ({ ...v, distance_km: distanceKm(position, vendorLatLng(v)) }))
+      : [...filteredVendors]
+    if (sortBy === 'rating') {
+      // Unrated vendors go last; ties are broken by review count, then distance
+      return list.sort((a, b) =>
+        (b.rating_avg || 0) - (a.rating_avg || 0) ||
+        (b.rating_count || 0) - (a.rating_count || 0) ||
+        (a.distance_km || 0) - (b.distance_km || 0))
+    }
+    return position ? list.sort((a, b) => a.distance_km - b.distance_km) : list
+  }, [filteredVendors, position, sortBy])
+
+  const setManualPosition = (p) => {
+    setFocus(null)
+    setAutoCenter(true)
+    setPosition(p)
+    setError('')
+    setPicking(false)
+  }
+
+  const handleRadiusChange = (km) => {
+    setRadius(km)
+    localStorage.setItem('madad_radius', String(km))
+  }
+
+  const selectVendor = (v) => {
+    setSelectedId(v.id)
+    const map = mapRef.current
+    const marker = markerRefs.current[v.id]
+    if (!map) return
+    map.flyTo(vendorLatLng(v), Math.max(map.getZoom(), 15))
+    if (!marker) return
+    map.once('moveend', () => {
+      // The marker can still be inside a cluster at this zoom
+      if (clusterRef.current) clusterRef.current.zoomToShowLayer(marker, () => marker.openPopup())
+      else marker.openPopup()
+    })
+  }
+
+  // In-app route from the current position; the card keeps a Google Maps fallback
+  const startRoute = (v) => {
+    trackVendorEvent(v.id, 'directions')
+    mapRef.current?.closePopup()
+    setCorridor(null)
+    setCorridorPick(null)
+    setRouteTo(v)
+  }
+  const routeTarget = useMemo(() => (routeTo ? vendorLatLng(routeTo) : null), [routeTo])
+  const routeState = useRoute(position, routeTarget)
+
+  // Help requests need an account so the vendor can answer; guests get the sign-in screen
+  const requestHelp = (vendor) => {
+    if (!token) return setShowAuthGate(true)
+    mapRef.current?.closePopup()
+    setHelpFor(vendor ? { vendor } : {})
+  }
+
+  const favorites = useFavorites(token)
+
+  // Starred vendors may be outside the loaded area; then just fly there
+  const selectFavorite = (v) => {
+    if (markerRefs.current[v.id]) return selectVendor(v)
+    setSelectedId(v.id)
+    setFocus(vendorLatLng(v))
+  }
+
+  // The list, favorites and highway panels share a spot, so only one is open at a time
+  const togglePanel = (which) => {
+    setShowList((s) => which === 'list' && !s)
+    setShowFavorites((s) => which === 'favorites' && !s)
+    setCorridor((c) => (which === 'corridor' && !c ? { from: position, to: null } : null))
+    setCorridorPick(null)
+    if (which === 'corridor') setRouteTo(null)
+  }
 
-  const center = useMemo(() => position || [24.8607, 67.0011], [position]) // Karachi default
+  const corridorState = useCorridor(corridor?.from, corridor?.to, serviceType, corridorBuffer)
+
+  const corridorVendors = useMemo(
+    () => (openNow ? corridorState.vendors.filter((v) => isOpenNow(v.hours, clock)) : corridorState.vendors),
+    [corridorState.vendors, openNow, clock]
+  )
+
+  // While the highway search is open the map shows its results instead of the area around the user
+  const mapVendors = corridor ? corridorVendors : filteredVendors
+
+  const setCorridorEnd = (end, p) => {
+    setCorridor((c) => ({ ...c, [end]: p }))
+    setCorridorPick(null)
+  }
+
+  const handleMapPick = (p) => {
+    if (corridorPick) setCorridorEnd(corridorPick, p)
+    else setManualPosition(p)
+  }
+
+  const handleCorridorBuffer = (km) => {
+    setCorridorBuffer(km)
+    localStorage.setItem('madad_corridor_km', String(km))
+  }
+
+  const center = useMemo(() => focus || (autoCenter ? position : null), [focus, autoCenter, position])
 
   const handleAuthed = ({ token, user }) => {
     setToken(token)
@@ -348,125 +547,267 @@ export default function App() {
   }
 
   const logout = () => {
-    localStorage.removeItem('madad_token')
-    localStorage.removeItem('madad_user')
+    endSession()
     setToken(null)
     setUser(null)
+    setShowMenu(false)
     setShowAuthGate(true)
   }
 
-  const t = themes[theme]
-
-  const handleThemeChange = (k) => {
-    setTheme(k)
-    localStorage.setItem('madad_theme', k)
-  }
+  const t = themeClasses
 
   return (
     <div className="h-screen w-screen flex flex-col">
-      {/* Top bar */}
-      <header className="p-3 bg-white shadow z-10 flex items-center gap-3">
+      {/* Top bar; stacked above the map's panes so the phone menu can drop over it */}
+      <header className="relative p-3 bg-surface shadow z-[1100] flex items-center gap-3">
         <div>
-          <h1 className={`font-semibold leading-tight ${t.primaryText}`}>Madad</h1>
+          <h1 className={`font-semibold leading-tight ${t.primaryText}`}>{tr('app.name')}</h1>
           <p className="text-[11px] text-gray-500">
             {user ? (
-              <>Signed in{user.name ? ` as ${user.name}` : ''}</>
+              <>{user.name ? tr('header.signedInAs', { name: user.name }) : tr('header.signedIn')}</>
             ) : (
-              <>Guest mode — sign in to add vendors</>
+              <>{tr('header.guest')}</>
             )}
           </p>
         </div>
-        <div className="ml-auto hidden sm:flex items-center gap-2">
-          <ThemeSelector theme={theme} onChange={handleThemeChange} />
-          <button onClick={fetchNearby} className={`px-3 py-1.5 text-white rounded-lg ${t.primaryBg} ${t.primaryBgHover}`}>
-            {loading ? 'Loading…' : 'Refresh'}
+        <div className="flex-1 max-w-sm flex items-center gap-1">
+          <LocationSearch onPick={setManualPosition} ringClass={t.ring} />
+          <button
+            onClick={() => setPicking((p) => !p)}
+            title={tr('header.pickOnMap')}
+            className={`shrink-0 rounded-lg border px-2 py-1.5 text-sm ${picking ? `${t.primaryBg} text-white ${t.chipActiveBorder}` : 'bg-surface'}`}
+          >
+            📌
+          </button>
+        </div>
+        <button
+          onClick={() => setShowMenu((m) => !m)}
+          aria-label={tr('header.menu')}
+          aria-expanded={showMenu}
+          className="ms-auto shrink-0 rounded-lg border bg-surface px-2.5 py-1.5 text-sm sm:hidden"
+        >
+          {showMenu ? '✕' : '☰'}
+        </button>
+        <div className={`${showMenu ? 'flex' : 'hidden'} absolute inset-x-0 top-full flex-wrap items-center gap-2 border-t bg-surface p-3 shadow sm:static sm:ms-auto sm:flex sm:flex-nowrap sm:border-0 sm:p-0 sm:shadow-none`}>
+          <ThemeSelector />
+          <LanguageSwitch />
+          <button onClick={() => { setShowMenu(false); fetchNearby() }} className={`px-3 py-1.5 text-white rounded-lg ${t.primaryBg} ${t.primaryBgHover}`}>
+            {loading ? tr('header.loading') : tr('header.refresh')}
           </button>
+          {user && (
+            <Link to="/requests" className="px-3 py-1.5 bg-gray-100 rounded-lg">{tr('jobs.title')}</Link>
+          )}
+          {user && (
+            <Link to="/my-listings" className="px-3 py-1.5 bg-gray-100 rounded-lg">{tr('mine.title')}</Link>
+          )}
+          {user && (
+            <Link to="/subscriptions" className="px-3 py-1.5 bg-gray-100 rounded-lg">{tr('subs.myPayments')}</Link>
+          )}
+          {isAdmin(user) && (
+            <Link to="/admin" className="px-3 py-1.5 bg-gray-900 text-surface rounded-lg">{tr('admin.title')}</Link>
+          )}
           {user ? (
-            <button onClick={logout} className="px-3 py-1.5 bg-gray-100 rounded-lg">Logout</button>
+            <button onClick={logout} className="px-3 py-1.5 bg-gray-100 rounded-lg">{tr('header.logout')}</button>
           ) : (
-            <button onClick={() => setShowAuthGate(true)} className="px-3 py-1.5 bg-gray-100 rounded-lg">Sign in</button>
+            <button onClick={() => { setShowMenu(false); setShowAuthGate(true) }} className="px-3 py-1.5 bg-gray-100 rounded-lg">{tr('header.signIn')}</button>
           )}
         </div>
       </header>
 
       {/* Category chips */}
-      <div className="bg-white/90 border-b">
-        <CategoryChips active={serviceType} onChange={setServiceType} theme={theme} />
+      <div className="bg-surface/90 border-b">
+        <div className="flex items-center">
+          <div className="min-w-0 flex-1">
+            <CategoryChips active={serviceTypes} onChange={setServiceTypes} theme={t} />
+          </div>
+          <OpenNowToggle active={openNow} onChange={setOpenNow} theme={t} />
+          <RadiusSelect radius={radius} searchedRadius={searchedRadius} onChange={handleRadiusChange} />
+        </div>
       </div>
 
       {error && (
         <div className="p-2 text-center text-sm text-red-600 bg-red-50">{error}</div>
       )}
+      {(cachedAt || !online) && (
+        <div className="p-2 text-center text-sm text-amber-800 bg-amber-50">
+          {online ? tr('map.serverDown') : tr('map.offline')}
+          {cachedAt && <> {tr('map.savedVendors', { time: new Date(cachedAt).toLocaleString() })}</>}
+        </div>
+      )}
+      {(picking || corridorPick) && (
+        <div className={`p-2 text-center text-sm text-white ${t.primaryBg}`}>
+          {corridorPick ? tr(`corridor.pick.${corridorPick}`) : tr('header.pickOnMap')}
+        </div>
+      )}
 
       <div className="flex-1 relative">
-        <MapContainer center={center} zoom={13} style={{ height: '100%', width: '100%' }}>
-          <TileLayer
-            attribution='&copy; OpenStreetMap contributors'
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          />
-          <Recenter center={center} />
-
-          {position && (
+        <MapContainer
+          ref={mapRef}
+          center={center || initialView?.center || DEFAULT_CENTER}
+          zoom={initialView?.zoom || 13}
+          style={{ height: '100%', width: '100%' }}
+        >
+          <BaseTiles />
+          <Recenter center={tracking ? null : center} />
+          <UrlViewSync value={viewParam} onChange={handleViewChange} />
+          {tracking && <FollowFix fix={live.fix} />}
+          <PositionPicker picking={picking || !!corridorPick} onPick={handleMapPick} />
+          <ViewportWatcher onChange={setView} />
+
+          {tracking && live.fix ? (
+            <LiveMarker {...live.fix} label={tr('map.youAreHere')} />
+          ) : position && (
             <Marker position={position}>
-              <Popup>You are here</Popup>
+              <Popup>{tr('map.youAreHere')}</Popup>
             </Marker>
           )}
 
-          {vendors.map(v => (
-            <Marker key={v.id} position={[v.location.coordinates[1], v.location.coordinates[0]]}>
-              <Popup>
-                <div className="space-y-1">
-                  <div className="font-semibold">{v.name}</div>
-                  <div className="text-xs text-gray-600">{serviceLabels[v.service_type] || v.service_type}</div>
-                  {v.address && <div className="text-xs">{v.address}</div>}
-                  <div className="flex gap-2 pt-1">
-                    {v.phone && (
-                      <a href={`tel:${v.phone}`} className={`px-2 py-1 text-white rounded text-xs ${t.primaryBg} ${t.primaryBgHover}`}>Call Now</a>
+          <MarkerClusterGroup
+            ref={clusterRef}
+            iconCreateFunction={clusterIcon}
+            showCoverageOnHover={false}
+            maxClusterRadius={50}
+            disableClusteringAtZoom={17}
+          >
+            {mapVendors.map(v => (
+              <Marker
+                key={v.id}
+                position={vendorLatLng(v)}
+                icon={vendorIcon(v.service_type, t)}
+                serviceType={v.service_type}
+                ref={(m) => { if (m) markerRefs.current[v.id] = m; else delete markerRefs.current[v.id] }}
+              >
+                <Popup>
+                  <div className="space-y-1">
+                    <div className="flex items-start gap-1">
+                      <div className="font-semibold">{v.name} <VerifiedBadge vendor={v} /></div>
+                      <FavoriteButton active={favorites.isFavorite(v.id)} onToggle={() => favorites.toggleVendor(v)} className="ms-auto text-base" />
+                    </div>
+                    <div className="text-xs text-gray-600">{serviceName(v.service_type)}</div>
+                    <Stars value={v.rating_avg || 0} count={v.rating_count || 0} size="text-xs" />
+                    {v.available_now && <div className="text-xs font-medium text-green-700">● {tr('vendor.availableNow')}</div>}
+                    <OpenStatus hours={v.hours} />
+                    {v.address && <div className="text-xs">{v.address}</div>}
+                    <div className="flex gap-2 pt-1">
+                      {v.phone && (
+                        <a href={`tel:${v.phone}`} onClick={() => trackVendorEvent(v.id, 'call')} className={`px-2 py-1 text-white rounded text-xs ${t.primaryBg} ${t.primaryBgHover}`}>{tr('vendor.callNow')}</a>
+                      )}
+                      <button className="px-2 py-1 bg-gray-800 text-surface rounded text-xs" onClick={() => startRoute(v)}>
+                        {tr('vendor.directions')}
+                      </button>
+                      <button className="px-2 py-1 bg-gray-100 rounded text-xs" onClick={() => requestHelp(v)}>
+                        {tr('jobs.request')}
+                      </button>
+                    </div>
+                    <Link to={`/vendor/${v.id}`} className={`block pt-1 text-xs underline ${t.primaryText}`}>{tr('vendor.details')}</Link>
+                    {!v.verified && (
+                      <Link to={`/subscribe?vendor=${encodeURIComponent(v.id)}`} className="block pt-1 text-[11px] text-gray-500 underline">{tr('vendor.getVerified')}</Link>
                     )}
-                    <a
-                      className="px-2 py-1 bg-gray-800 text-white rounded text-xs"
-                      href={`https://www.google.com/maps/dir/?api=1&destination=${v.location.coordinates[1]},${v.location.coordinates[0]}`}
-                      target="_blank" rel="noreferrer"
-                    >
-                      Get Directions
-                    </a>
                   </div>
-                  <div className="pt-1 text-[11px] text-gray-500">Vendors will soon be able to pay via bank transfer to appear here.</div>
-                </div>
-              </Popup>
-            </Marker>
-          ))}
+                </Popup>
+              </Marker>
+            ))}
+          </MarkerClusterGroup>
+          <RouteLine route={corridor ? corridorState.route : routeState.route} />
+          {corridor && <CorridorEnds from={corridor.from} to={corridor.to} />}
         </MapContainer>
 
+        {routeTo && !corridor && (
+          <RouteCard vendor={routeTo} destination={routeTarget} hasOrigin={!!position} state={routeState} onClose={() => setRouteTo(null)} theme={t} />
+        )}
+
+        {tooFar && !corridor && (
+          <div className="absolute z-[1000] top-3 inset-x-0 flex justify-center pointer-events-none">
+            <span className="rounded-full bg-surface/90 px-3 py-1 text-xs text-gray-700 shadow">{tr('map.zoomIn')}</span>
+          </div>
+        )}
+
+        {showList && (
+          <NearbyList
+            vendors={sortedVendors}
+            selectedId={selectedId}
+            onSelect={selectVendor}
+            sortBy={sortBy}
+            onSortChange={setSortBy}
+            onClose={() => setShowList(false)}
+            theme={t}
+          />
+        )}
+
+        {showFavorites && (
+          <FavoritesPanel
+            favorites={favorites}
+            position={position}
+            onJumpToPlace={setManualPosition}
+            onSelectVendor={selectFavorite}
+            onClose={() => setShowFavorites(false)}
+            theme={t}
+          />
+        )}
+
+        {corridor && (
+          <CorridorPanel
+            corridor={corridor}
+            picking={corridorPick}
+            position={position}
+            bufferKm={corridorBuffer}
+            state={corridorState}
+            vendors={corridorVendors}
+            onSetEnd={setCorridorEnd}
+            onPickEnd={setCorridorPick}
+            onSwap={() => setCorridor((c) => ({ from: c.to, to: c.from }))}
+            onBufferChange={handleCorridorBuffer}
+            onSelect={selectVendor}
+            onClose={() => togglePanel('corridor')}
+            theme={t}
+          />
+        )}
+
         {/* Floating buttons */}
-        <div className="absolute right-3 bottom-3 flex flex-col gap-2">
+        <div className="absolute end-3 bottom-3 flex flex-col gap-2">
+          <button onClick={() => setShowSos(true)} className="rounded-full shadow-lg bg-red-600 hover:bg-red-700 text-white font-bold text-xs p-3 active:scale-95 transition">SOS</button>
+          <button onClick={() => requestHelp(null)} title={tr('jobs.requestTitle')} className="rounded-full shadow-lg bg-surface text-gray-800 p-3 active:scale-95 transition">🛠️</button>
+          <button onClick={() => togglePanel('corridor')} title={tr('corridor.title')} className="rounded-full shadow-lg bg-surface text-gray-800 p-3 active:scale-95 transition">🛣️</button>
+          <button onClick={() => togglePanel('favorites')} title={tr('fav.title')} className="rounded-full shadow-lg bg-surface text-gray-800 p-3 active:scale-95 transition">⭐</button>
+          <button onClick={() => togglePanel('list')} className="rounded-full shadow-lg bg-surface text-gray-800 p-3 active:scale-95 transition">📋</button>
           <button onClick={fetchNearby} className={`rounded-full shadow-lg text-white p-3 active:scale-95 transition ${t.primaryBg} ${t.primaryBgHover}`}>🔄</button>
-          <button onClick={() => {
-            if (navigator.geolocation) {
-              navigator.geolocation.getCurrentPosition((pos) => {
-                setPosition([pos.coords.latitude, pos.coords.longitude])
-              })
-            }
-          }} className={`rounded-full shadow-lg text-white p-3 active:scale-95 transition ${t.primaryBg} ${t.primaryBgHover}`}>📍</button>
+          <button
+            onClick={toggleTracking}
+            aria-pressed={tracking}
+            title={tr(tracking ? 'live.stop' : 'live.start')}
+            className={`rounded-full shadow-lg p-3 active:scale-95 transition ${tracking ? 'bg-blue-600 text-white ring-4 ring-blue-200' : `text-white ${t.primaryBg} ${t.primaryBgHover}`}`}
+          >
+            📍
+          </button>
         </div>
+
+        {tracking && (
+          <LiveTrackingBar fix={live.fix} error={live.error} onStop={() => setTracking(false)} theme={t} />
+        )}
       </div>
 
-      <footer className="p-2 text-center text-[11px] bg-white/80">Karachi default if location not granted. Urdu/English coming soon.</footer>
+      <footer className="p-2 text-center text-[11px] bg-surface/80">{tr('app.footer')}</footer>
+
+      {helpFor && (
+        <RequestHelpForm
+          position={position}
+          vendor={helpFor.vendor}
+          defaultServiceType={serviceTypes[0]}
+          onSent={(job) => navigate('/requests', { state: { createdJob: job } })}
+          onClose={() => setHelpFor(null)}
+          theme={t}
+        />
+      )}
+
+      {showSos && (
+        <SosPanel fallbackPosition={position} onClose={() => setShowSos(false)} />
+      )}
 
       {showAuthGate && (
-        <div className="fixed inset-0 z-50">
-          <AuthScreen onAuthed={handleAuthed} onGuest={handleGuest} backend={backend} theme={theme} />
+        <div className="fixed inset-0 z-[1200]">
+          <AuthScreen onAuthed={handleAuthed} onGuest={handleGuest} />
         </div>
       )}
-
-      {/* Safety net to ensure Tailwind keeps these classes in the build */}
-      <div className="hidden">
-        bg-emerald-600 hover:bg-emerald-700 text-emerald-700 focus:ring-emerald-600 border-emerald-200 border-emerald-600
-        bg-sky-600 hover:bg-sky-700 text-sky-700 focus:ring-sky-600 border-sky-200 border-sky-600
-        bg-fuchsia-600 hover:bg-fuchsia-700 text-fuchsia-700 focus:ring-fuchsia-600 border-fuchsia-200 border-fuchsia-600
-        bg-amber-600 hover:bg-amber-700 text-amber-700 focus:ring-amber-600 border-amber-200 border-amber-600
-        bg-lime-600 hover:bg-lime-700 text-lime-700 focus:ring-lime-600 border-lime-200 border-lime-600
-      </div>
     </div>
   )
 }
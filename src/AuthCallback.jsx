@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { requestOtp } from './lib/auth'
+import { saveSession } from './lib/session'
+import { errorMessage } from './lib/api'
+import { takePendingOidc, completeOidcSignIn, linkOidcAccount } from './lib/oidc'
+import useCountdown from './lib/useCountdown'
+import { useI18n } from './i18n'
+import TextInput from './components/TextInput'
+import OtpCodeForm from './components/OtpCodeForm'
+
+const RESEND_FALLBACK_S = 60
+
+// The provider's email or phone already has an account: prove it is yours to link them
+function LinkAccount({ link, onLinked, theme }) {
+  const { tr } = useI18n()
+  const [password, setPassword] = useState('')
+  const [otpSent, setOtpSent] = useState(null)
+  const [resendLeft, setResendLeft] = useCountdown()
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const run = async (fn, fallbackKey) => {
+    setLoading(true)
+    setError('')
+    try {
+      await fn()
+    } catch (e) {
+      setError(errorMessage(e, tr, fallbackKey))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const sendCode = () => run(async () => {
+    const data = await requestOtp({ purpose: 'link', linkToken: link.link_token })
+    setOtpSent(data)
+    setResendLeft(data.resend_after_s || RESEND_FALLBACK_S)
+  }, 'otp.sendFailed')
+
+  const finish = (proof) => run(async () => {
+    onLinked(await linkOidcAccount({ linkToken: link.link_token, ...proof }))
+  }, 'oidc.linkFailed')
+
+  const existing = link.existing?.email || link.existing?.phone || ''
+
+  return (
+    <div className="space-y-3">
+      <div className="font-semibold text-gray-900">{tr('oidc.linkTitle')}</div>
+      <p className="text-sm text-gray-600">{tr('oidc.linkHint', { account: existing })}</p>
+      {otpSent ? (
+        <OtpCodeForm
+          sentTo={existing}
+          devCode={otpSent.dev_code}
+          resendLeft={resendLeft}
+          onResend={sendCode}
+          onSubmit={(code) => finish({ code })}
+          onBack={() => setOtpSent(null)}
+          loading={loading}
+          error={error}
+          submitLabel={tr('oidc.link')}
+          theme={theme}
+        />
+      ) : (
+        <form className="space-y-3" onSubmit={(e) => { e.preventDefault(); finish({ password }) }}>
+          <TextInput label={tr('auth.password')} type="password" value={password} onChange={setPassword} ringClass={theme.ring} />
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <button disabled={!password || loading} className={`w-full py-2.5 rounded-lg text-white disabled:opacity-60 ${theme.primaryBg} ${theme.primaryBgHover}`}>
+            {loading ? tr('auth.wait') : tr('oidc.link')}
+          </button>
+          <button type="button" onClick={sendCode} disabled={loading} className={`w-full text-sm ${theme.primaryText}`}>{tr('auth.useOtp')}</button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+// Where Google/Apple send the browser back to after sign-in
+export default function AuthCallback() {
+  const { tr } = useI18n()
+  const navigate = useNavigate()
+  const [params] = useSearchParams()
+  const [error, setError] = useState('')
+  const [link, setLink] = useState(null)
+  const [returnTo, setReturnTo] = useState('/')
+  const started = useRef(false)
+
+  const t = themeClasses
+
+  const finish = (data, to) => {
+    saveSession(data)
+    navigate(to, { replace: true })
+  }
+
+  useEffect(() => {
+    // The code is single-use; StrictMode's second effect run must not spend it again
+    if (started.current) return
+    started.current = true
+    const pending = takePendingOidc()
+    const run = async () => {
+      if (params.get('error')) return setError(tr('oidc.cancelled'))
+      if (!pending || pending.state !== params.get('state') || !params.get('code')) return setError(tr('oidc.invalidState'))
+      setReturnTo(pending.returnTo || '/')
+      try {
+        const data = await completeOidcSignIn(pending, params.get('code'))
+        if (data.link_required) setLink(data)
+        else finish(data, pending.returnTo || '/')
+      } catch (e) {
+        setError(errorMessage(e, tr, 'oidc.failed'))
+      }
+    }
+    run()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 bg-gray-50">
+      <div className="w-full max-w-md bg-surface rounded-2xl shadow-xl p-6 space-y-4">
+        <div className={`text-xl font-bold text-center ${t.primaryText}`}>{tr('app.name')}</div>
+        {link ? (
+          <LinkAccount link={link} onLinked={(data) => finish(data, returnTo)} theme={t} />
+        ) : error ? (
+          <>
+            <p className="text-sm text-red-600 text-center">{error}</p>
+            <Link to="/" className={`block text-center px-4 py-2 rounded-lg text-white ${t.primaryBg} ${t.primaryBgHover}`}>{tr('addVendor.backToMap')}</Link>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500 text-center">{tr('oidc.signingIn')}</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,157 @@
+import { useState } from 'react'
+import { Link, useLocation } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { accessToken } from './lib/session'
+import { errorMessage } from './lib/api'
+import { directionsUrl } from './lib/leaflet'
+import { updateJob } from './lib/jobs'
+import useJobs from './lib/useJobs'
+import { useI18n } from './i18n'
+import SignInRequired from './components/SignInRequired'
+
+const statusStyles = {
+  pending: 'bg-amber-100 text-amber-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-200 text-gray-600',
+  completed: 'bg-sky-100 text-sky-800'
+}
+
+function JobStatus({ status }) {
+  const { tr } = useI18n()
+  return (
+    <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${statusStyles[status] || statusStyles.pending}`}>
+      {tr(`jobs.status.${status}`)}
+    </span>
+  )
+}
+
+function JobCard({ job, role, highlighted, onAction, busy, theme }) {
+  const { tr, serviceName } = useI18n()
+  const pending = job.status === 'pending'
+  return (
+    <li className={`bg-surface rounded-2xl shadow p-4 space-y-2 ${highlighted ? `border-2 ${theme.chipActiveBorder}` : ''}`}>
+      <div className="flex items-center gap-2">
+        <span className="font-semibold text-gray-900 truncate">
+          {role === 'vendor'
+            ? job.requester_name || tr('reviews.anonymous')
+            : job.vendor_name || tr('jobs.broadcastSent', { n: job.vendor_count || 1, service: serviceName(job.service_type) })}
+        </span>
+        <span className="ms-auto shrink-0"><JobStatus status={job.status} /></span>
+      </div>
+      {job.created_at && <div className="text-xs text-gray-500">{new Date(job.created_at).toLocaleString()}</div>}
+      <p className="text-sm text-gray-700 whitespace-pre-line">{job.description}</p>
+
+      {job.photo_urls?.length > 0 && (
+        <div className="flex gap-2">
+          {job.photo_urls.map((url) => (
+            <a key={url} href={url} target="_blank" rel="noreferrer">
+              <img src={url} alt="" className="h-16 w-16 rounded-lg border object-cover" />
+            </a>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 pt-1 text-sm">
+        {role === 'vendor' && (
+          <>
+            {job.lat != null && (
+              <a href={directionsUrl([job.lat, job.lng])} target="_blank" rel="noreferrer" className="px-3 py-1.5 rounded-lg bg-gray-800 text-surface">
+                {tr('vendor.directions')}
+              </a>
+            )}
+            {job.status === 'accepted' && job.requester_phone && (
+              <a href={`tel:${job.requester_phone}`} className={`px-3 py-1.5 rounded-lg text-white ${theme.primaryBg}`}>{tr('jobs.callCustomer')}</a>
+            )}
+            {pending && (
+              <>
+                <button disabled={busy} onClick={() => onAction(job, 'accept')} className="px-3 py-1.5 rounded-lg bg-green-600 text-white disabled:opacity-60">{tr('jobs.accept')}</button>
+                <button disabled={busy} onClick={() => onAction(job, 'decline')} className="px-3 py-1.5 rounded-lg bg-red-600 text-white disabled:opacity-60">{tr('jobs.decline')}</button>
+              </>
+            )}
+          </>
+        )}
+        {role === 'requester' && (
+          <>
+            {job.status === 'accepted' && job.vendor_phone && (
+              <a href={`tel:${job.vendor_phone}`} className={`px-3 py-1.5 rounded-lg text-white ${theme.primaryBg}`}>{tr('vendor.callNow')}</a>
+            )}
+            {job.status === 'accepted' && (
+              <button disabled={busy} onClick={() => onAction(job, 'complete')} className="px-3 py-1.5 rounded-lg bg-gray-100 disabled:opacity-60">{tr('jobs.markDone')}</button>
+            )}
+            {pending && (
+              <button disabled={busy} onClick={() => onAction(job, 'cancel')} className="px-3 py-1.5 rounded-lg bg-gray-100 disabled:opacity-60">{tr('jobs.cancel')}</button>
+            )}
+          </>
+        )}
+      </div>
+    </li>
+  )
+}
+
+// Both sides of help requests: what I asked for, and what was sent to my listings
+export default function Jobs() {
+  const { tr } = useI18n()
+  const location = useLocation()
+  const [token] = useState(accessToken)
+  const [tab, setTab] = useState(location.state?.tab || 'requester')
+  const [busyId, setBusyId] = useState(null)
+  const [actionError, setActionError] = useState('')
+
+  const t = themeClasses
+  const { jobs, loading, error, live, replace } = useJobs(token)
+  const createdId = location.state?.createdJob?.id
+
+  const act = async (job, action) => {
+    setBusyId(job.id)
+    setActionError('')
+    try {
+      replace(tab, await updateJob(job.id, action))
+    } catch (e) {
+      setActionError(errorMessage(e, tr, 'jobs.updateFailed'))
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (!token) {
+    return <SignInRequired title={tr('jobs.title')} message={tr('jobs.signInFirst')} theme={t} />
+  }
+
+  const list = jobs[tab]
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="mx-auto w-full max-w-lg space-y-4">
+        <div className="flex items-center gap-3">
+          <h1 className={`text-xl font-bold ${t.primaryText}`}>{tr('jobs.title')}</h1>
+          <span className={`flex items-center gap-1 text-xs ${live ? 'text-green-700' : 'text-gray-400'}`}>
+            <span className={`h-2 w-2 rounded-full ${live ? 'bg-green-500' : 'bg-gray-300'}`} />
+            {tr(live ? 'jobs.live' : 'jobs.reconnecting')}
+          </span>
+          <Link to="/" className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('addVendor.backToMap')}</Link>
+        </div>
+
+        <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+          {['requester', 'vendor'].map((k) => (
+            <button key={k} onClick={() => setTab(k)} className={`flex-1 py-2 rounded-md ${tab === k ? 'bg-surface shadow font-medium' : ''}`}>
+              {tr(`jobs.tab.${k}`)}
+              {k === 'vendor' && jobs.vendor.some((j) => j.status === 'pending') && <span className="ms-1 inline-block h-2 w-2 rounded-full bg-red-500" />}
+            </button>
+          ))}
+        </div>
+
+        {loading && <p className="text-sm text-gray-500">{tr('detail.loading')}</p>}
+        {error && <p className="text-sm text-red-600">{tr('jobs.loadFailed')}</p>}
+        {actionError && <p className="text-sm text-red-600">{actionError}</p>}
+        {!loading && !error && list.length === 0 && <p className="text-sm text-gray-500">{tr(`jobs.empty.${tab}`)}</p>}
+
+        <ul className="space-y-3">
+          {list.map((job) => (
+            <JobCard key={job.id} job={job} role={tab} highlighted={job.id === createdId} onAction={act} busy={busyId === job.id} theme={t} />
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
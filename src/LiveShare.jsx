@@ -0,0 +1,88 @@
+import { useEffect, useMemo, useState } from 'react'
+import { MapContainer, useMap } from 'react-leaflet'
+import { Link, useParams } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { fetchLiveShare } from './lib/liveShare'
+import { useI18n } from './i18n'
+import LiveMarker from './components/LiveMarker'
+import BaseTiles from './components/BaseTiles'
+
+const POLL_MS = 5000
+
+function Follow({ position }) {
+  const map = useMap()
+  useEffect(() => {
+    if (position) map.panTo(position)
+  }, [position, map])
+  return null
+}
+
+function minutesAgo(iso) {
+  return Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 60000))
+}
+
+// Read-only view of someone's shared live location; no sign-in needed
+export default function LiveShare() {
+  const { id } = useParams()
+  const { tr } = useI18n()
+  const [share, setShare] = useState(null)
+  const [error, setError] = useState('')
+
+  const t = themeClasses
+
+  useEffect(() => {
+    let controller
+    let timer
+    const poll = async () => {
+      controller = new AbortController()
+      try {
+        const next = await fetchLiveShare(id, { signal: controller.signal })
+        setShare(next)
+        setError('')
+        // Ended, past expires_at or gone (404/410): nothing more will come
+        if (next?.expired) clearInterval(timer)
+      } catch (e) {
+        if (e.name !== 'AbortError') setError(tr('live.loadFailed'))
+      }
+    }
+    poll()
+    timer = setInterval(poll, POLL_MS)
+    return () => {
+      clearInterval(timer)
+      controller?.abort()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id])
+
+  const lat = share && !share.expired ? share.lat : null
+  const lng = share?.lng
+  const position = useMemo(() => (lat != null ? [lat, lng] : null), [lat, lng])
+
+  return (
+    <div className="h-screen flex flex-col">
+      <header className="flex items-center gap-3 p-3 bg-surface shadow">
+        <div className="min-w-0">
+          <h1 className={`font-bold ${t.primaryText}`}>{share?.name ? tr('live.titleNamed', { name: share.name }) : tr('live.title')}</h1>
+          {position && share.updated_at && (
+            <p className="text-xs text-gray-500">{tr('live.updated', { n: minutesAgo(share.updated_at) })}</p>
+          )}
+        </div>
+        <Link to="/" className="ms-auto shrink-0 text-sm text-gray-500 hover:text-gray-700">{tr('addVendor.backToMap')}</Link>
+      </header>
+
+      <div className="relative flex-1">
+        {position ? (
+          <MapContainer center={position} zoom={16} style={{ height: '100%', width: '100%' }}>
+            <BaseTiles />
+            <Follow position={position} />
+            <LiveMarker position={position} accuracy={share.accuracy} heading={share.heading} />
+          </MapContainer>
+        ) : (
+          <div className="flex h-full items-center justify-center p-6 text-center text-sm text-gray-500">
+            {error || (share?.expired ? tr('live.expired') : tr('live.waitingShared'))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { accessToken } from './lib/session'
+import { fetchMyVendors, updateVendor } from './lib/vendors'
+import { errorMessage } from './lib/api'
+import { useI18n } from './i18n'
+import SignInRequired from './components/SignInRequired'
+import VendorForm from './components/VendorForm'
+import VerifiedBadge from './components/VerifiedBadge'
+
+function Stat({ label, value }) {
+  return (
+    <div className="rounded-lg bg-gray-50 p-2 text-center">
+      <div className="text-lg font-semibold text-gray-900">{value ?? 0}</div>
+      <div className="text-[11px] text-gray-500">{label}</div>
+    </div>
+  )
+}
+
+function ListingCard({ vendor, theme, onUpdated }) {
+  const { tr, serviceName } = useI18n()
+  const [editing, setEditing] = useState(false)
+  const [toggling, setToggling] = useState(false)
+  const [error, setError] = useState('')
+
+  const patch = async (changes) => {
+    const updated = await updateVendor(vendor.id, changes)
+    onUpdated({ ...vendor, ...changes, ...updated })
+  }
+
+  const save = async (payload) => {
+    await patch(payload)
+    setEditing(false)
+  }
+
+  // Applied straight away: a tow driver flips this from the roadside
+  const toggleAvailable = async () => {
+    setToggling(true)
+    setError('')
+    try {
+      await patch({ available_now: !vendor.available_now })
+    } catch (e) {
+      setError(errorMessage(e, tr, 'mine.saveFailed'))
+    } finally {
+      setToggling(false)
+    }
+  }
+
+  const stats = vendor.stats || {}
+
+  return (
+    <div className="bg-surface rounded-2xl shadow p-4 space-y-3">
+      <div className="flex items-start gap-2">
+        <div className="min-w-0">
+          <div className="font-semibold text-gray-900">{vendor.name} <VerifiedBadge vendor={vendor} /></div>
+          <div className="text-xs text-gray-500">{serviceName(vendor.service_type)}{vendor.address ? ` · ${vendor.address}` : ''}</div>
+        </div>
+        <Link to={`/vendor/${vendor.id}`} className={`ms-auto shrink-0 text-xs underline ${theme.primaryText}`}>{tr('vendor.details')}</Link>
+      </div>
+
+      <label className="flex items-center gap-3 cursor-pointer">
+        <button
+          type="button"
+          role="switch"
+          aria-checked={!!vendor.available_now}
+          disabled={toggling}
+          onClick={toggleAvailable}
+          className={`relative h-6 w-11 shrink-0 rounded-full transition disabled:opacity-60 ${vendor.available_now ? theme.primaryBg : 'bg-gray-300'}`}
+        >
+          <span className={`absolute top-0.5 h-5 w-5 rounded-full bg-surface shadow transition-all ${vendor.available_now ? 'start-[1.375rem]' : 'start-0.5'}`} />
+        </button>
+        <span className="text-sm">
+          <span className="font-medium text-gray-900">{tr('mine.availableNow')}</span>
+          <span className="block text-[11px] text-gray-500">{tr('mine.availableHint')}</span>
+        </span>
+      </label>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <div className="grid grid-cols-3 gap-2">
+        <Stat label={tr('mine.stats.calls')} value={stats.call_taps} />
+        <Stat label={tr('mine.stats.directions')} value={stats.directions_taps} />
+        <Stat label={tr('mine.stats.views')} value={stats.views} />
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={() => setEditing((e) => !e)} className="px-3 py-1.5 rounded-lg bg-gray-100 text-sm">
+          {editing ? tr('addVendor.cancel') : tr('mine.edit')}
+        </button>
+        {!vendor.verified && (
+          <Link to={`/subscribe?vendor=${encodeURIComponent(vendor.id)}`} className={`px-3 py-1.5 rounded-lg border text-sm ${theme.border}`}>
+            {tr('subs.title')}
+          </Link>
+        )}
+      </div>
+
+      {editing && (
+        <VendorForm vendor={vendor} withHours submitLabel={tr('admin.save')} onSubmit={save} failedKey="mine.saveFailed" theme={theme} />
+      )}
+    </div>
+  )
+}
+
+// Owner dashboard: every listing the signed-in user created
+export default function MyListings() {
+  const { tr } = useI18n()
+  const [token] = useState(accessToken)
+  const [vendors, setVendors] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const t = themeClasses
+
+  useEffect(() => {
+    if (!token) return
+    const load = async () => {
+      try {
+        setVendors(await fetchMyVendors({ stats: true }))
+      } catch {
+        setError(tr('mine.loadFailed'))
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token])
+
+  const replace = (updated) => setVendors((list) => list.map((v) => (v.id === updated.id ? updated : v)))
+
+  if (!token) {
+    return <SignInRequired title={tr('mine.title')} message={tr('mine.signInFirst')} theme={t} />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="mx-auto w-full max-w-lg space-y-4">
+        <div className="flex items-center gap-3">
+          <h1 className={`text-xl font-bold ${t.primaryText}`}>{tr('mine.title')}</h1>
+          <Link to="/vendors/new" className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('header.addVendor')}</Link>
+          <Link to="/" className="text-sm text-gray-500 hover:text-gray-700">{tr('addVendor.backToMap')}</Link>
+        </div>
+
+        {loading && <p className="text-sm text-gray-500">{tr('detail.loading')}</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {!loading && !error && vendors.length === 0 && <p className="text-sm text-gray-500">{tr('subs.noListings')}</p>}
+
+        {vendors.map((v) => (
+          <ListingCard key={v.id} vendor={v} theme={t} onUpdated={replace} />
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { accessToken } from './lib/session'
+import { api, errorMessage } from './lib/api'
+import { fetchMyVendors } from './lib/vendors'
+import { useI18n } from './i18n'
+import SignInRequired from './components/SignInRequired'
+
+// Step one of getting verified: pick a listing and a plan, then pay by bank transfer
+export default function Subscribe() {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const { tr, serviceName } = useI18n()
+  const [token] = useState(accessToken)
+
+  const [plans, setPlans] = useState([])
+  const [listings, setListings] = useState([])
+  const [vendorId, setVendorId] = useState('')
+  const [planId, setPlanId] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const t = themeClasses
+
+  useEffect(() => {
+    if (!token) return
+    const load = async () => {
+      try {
+        const [plansData, mine] = await Promise.all([
+          api('/api/subscriptions/plans'),
+          fetchMyVendors()
+        ])
+        const plans = plansData?.plans || []
+        setPlans(plans)
+        setListings(mine)
+        // ?vendor= only preselects one of the user's own listings
+        const requested = searchParams.get('vendor')
+        const preselect = mine.find((v) => String(v.id) === requested) || mine[0]
+        if (preselect) setVendorId(preselect.id)
+        if (plans.length) setPlanId(plans[0].id)
+      } catch {
+        setError(tr('subs.loadFailed'))
+      }
+    }
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!vendorId || !planId) return
+    setLoading(true)
+    setError('')
+    try {
+      await api('/api/subscriptions', { method: 'POST', json: { vendor_id: vendorId, plan_id: planId } })
+      navigate('/subscriptions')
+    } catch (e) {
+      setError(errorMessage(e, tr, 'subs.createFailed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (!token) {
+    return <SignInRequired title={tr('subs.title')} message={tr('subs.signInFirst')} theme={t} />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="mx-auto w-full max-w-lg bg-surface rounded-2xl shadow-xl p-6 space-y-4">
+        <div className="flex items-center">
+          <h1 className={`text-xl font-bold ${t.primaryText}`}>{tr('subs.title')}</h1>
+          <Link to="/subscriptions" className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('subs.myPayments')}</Link>
+        </div>
+        <p className="text-sm text-gray-600">{tr('subs.intro')}</p>
+
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <label className="block text-sm">
+            <span className="text-gray-700">{tr('subs.listing')}</span>
+            {listings.length ? (
+              <select
+                value={vendorId}
+                onChange={(e) => setVendorId(e.target.value)}
+                className={`mt-1 w-full rounded-lg border px-3 py-2 bg-surface outline-none focus:ring-2 ${t.ring}`}
+              >
+                {listings.map((v) => (
+                  <option key={v.id} value={v.id}>{v.name} — {serviceName(v.service_type)}</option>
+                ))}
+              </select>
+            ) : (
+              <p className="mt-1 text-gray-500">
+                {tr('subs.noListings')} <Link to="/vendors/new" className={`underline ${t.primaryText}`}>{tr('header.addVendor')}</Link>
+              </p>
+            )}
+          </label>
+
+          <fieldset className="space-y-2">
+            <legend className="text-sm text-gray-700">{tr('subs.plan')}</legend>
+            {plans.map((p) => (
+              <label
+                key={p.id}
+                className={`flex items-center gap-3 rounded-lg border p-3 cursor-pointer ${planId === p.id ? t.chipActiveBorder : 'border-gray-200'}`}
+              >
+                <input type="radio" name="plan" value={p.id} checked={planId === p.id} onChange={() => setPlanId(p.id)} />
+                <span className="text-sm">
+                  <span className="font-medium text-gray-900">{p.name}</span>
+                  <span className="block text-xs text-gray-500">{tr('subs.planDays', { days: p.duration_days })}</span>
+                </span>
+                <span className="ms-auto font-semibold text-gray-900" dir="ltr">Rs {Number(p.price).toLocaleString()}</span>
+              </label>
+            ))}
+          </fieldset>
+
+          {error && <div className="text-sm text-red-600">{error}</div>}
+
+          <button disabled={!vendorId || !planId || loading} className={`w-full py-2.5 rounded-lg text-white disabled:opacity-60 ${t.primaryBg} ${t.primaryBgHover}`}>
+            {loading ? tr('auth.wait') : tr('subs.continue')}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { accessToken } from './lib/session'
+import { api } from './lib/api'
+import { useI18n } from './i18n'
+import SignInRequired from './components/SignInRequired'
+import BankDetails from './components/BankDetails'
+import ProofUpload from './components/ProofUpload'
+
+const statusStyles = {
+  awaiting_payment: 'bg-gray-100 text-gray-700',
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-700',
+  expired: 'bg-gray-200 text-gray-600'
+}
+
+function StatusBadge({ status }) {
+  const { tr } = useI18n()
+  return (
+    <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${statusStyles[status] || statusStyles.pending}`}>
+      {tr(`subs.status.${status}`)}
+    </span>
+  )
+}
+
+// Payment status for every subscription the signed-in owner has started
+export default function Subscriptions() {
+  const { tr } = useI18n()
+  const [token] = useState(accessToken)
+  const [subscriptions, setSubscriptions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const t = themeClasses
+
+  useEffect(() => {
+    if (!token) return
+    const load = async () => {
+      try {
+        const data = await api('/api/subscriptions/mine')
+        setSubscriptions(data.subscriptions || [])
+      } catch {
+        setError(tr('subs.loadFailed'))
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token])
+
+  const replace = (updated) => {
+    setSubscriptions((list) => list.map((s) => (s.id === updated.id ? { ...s, ...updated } : s)))
+  }
+
+  if (!token) {
+    return <SignInRequired title={tr('subs.myPayments')} message={tr('subs.signInFirst')} theme={t} />
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="mx-auto w-full max-w-lg space-y-4">
+        <div className="flex items-center">
+          <h1 className={`text-xl font-bold ${t.primaryText}`}>{tr('subs.myPayments')}</h1>
+          <Link to="/" className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('addVendor.backToMap')}</Link>
+        </div>
+
+        {loading && <p className="text-sm text-gray-500">{tr('detail.loading')}</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {!loading && !error && subscriptions.length === 0 && (
+          <p className="text-sm text-gray-500">
+            {tr('subs.none')} <Link to="/subscribe" className={`underline ${t.primaryText}`}>{tr('subs.title')}</Link>
+          </p>
+        )}
+
+        {subscriptions.map((s) => (
+          <div key={s.id} className="bg-surface rounded-2xl shadow p-4 space-y-3">
+            <div className="flex items-center gap-2">
+              <div className="min-w-0">
+                <div className="font-semibold text-gray-900 truncate">{s.vendor_name}</div>
+                <div className="text-xs text-gray-500">{s.plan_name}</div>
+              </div>
+              <span className="ms-auto"><StatusBadge status={s.status} /></span>
+            </div>
+
+            {s.status === 'approved' && s.expires_at && (
+              <p className="text-sm text-gray-600">{tr('subs.activeUntil', { date: new Date(s.expires_at).toLocaleDateString() })}</p>
+            )}
+            {s.status === 'pending' && <p className="text-sm text-gray-600">{tr('subs.pendingNote')}</p>}
+            {s.status === 'rejected' && (
+              <p className="text-sm text-red-700">{s.rejection_reason || tr('subs.rejectedNote')}</p>
+            )}
+
+            {/* A rejected proof can be sent again */}
+            {(s.status === 'awaiting_payment' || s.status === 'rejected') && (
+              <>
+                <BankDetails subscription={s} theme={t} />
+                <ProofUpload subscriptionId={s.id} theme={t} onUploaded={replace} />
+              </>
+            )}
+
+            {s.status === 'expired' && (
+              <Link to={`/subscribe?vendor=${encodeURIComponent(s.vendor_id)}`} className={`inline-block text-sm underline ${t.primaryText}`}>
+                {tr('subs.renew')}
+              </Link>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
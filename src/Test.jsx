@@ -1,127 +1,93 @@
-import { useState, useEffect } from 'react'
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { themeClasses } from './lib/themes'
+import { backend } from './lib/api'
+import { CHECKS, runCheck, buildReport } from './lib/diagnostics'
+import { useI18n } from './i18n'
 
-function Test() {
-  const [backendStatus, setBackendStatus] = useState('checking...')
-  const [backendUrl, setBackendUrl] = useState('')
-  const [databaseStatus, setDatabaseStatus] = useState(null)
+const STATUS_ICONS = { ok: '✅', warn: '⚠️', fail: '❌' }
 
-  useEffect(() => {
-    checkBackendConnection()
-  }, [])
+function CheckRow({ label, result }) {
+  const { tr } = useI18n()
+  return (
+    <li className="flex items-start gap-3 py-2.5">
+      <span className="w-5 shrink-0 text-center">{result ? STATUS_ICONS[result.status] : '⏳'}</span>
+      <div className="min-w-0 flex-1">
+        <div className="flex items-baseline gap-2">
+          <span className="text-sm font-medium text-gray-900">{label}</span>
+          {result?.ms != null && <span className="ms-auto shrink-0 font-mono text-xs text-gray-500" dir="ltr">{result.ms} ms</span>}
+        </div>
+        <div className="text-xs text-gray-500 break-words">{result ? result.detail : tr('diag.running')}</div>
+      </div>
+    </li>
+  )
+}
 
-  const checkBackendConnection = async () => {
-    try {
-      // Get backend URL from environment variable
-      const baseUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
-      setBackendUrl(baseUrl)
+// Health of everything the map depends on, with a copyable report for support tickets
+export default function Test() {
+  const { tr } = useI18n()
+  const [results, setResults] = useState({})
+  const [running, setRunning] = useState(false)
+  const [copied, setCopied] = useState('')
 
-      // Test basic backend connectivity
-      const response = await fetch(`${baseUrl}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
+  const t = themeClasses
+  const labelOf = (key) => tr(`diag.check.${key}`)
 
-      if (response.ok) {
-        const data = await response.json()
-        setBackendStatus(`✅ Connected - ${data.message || 'OK'}`)
-        
-        // Now test database connectivity
-        await checkDatabaseConnection(baseUrl)
-      } else {
-        setBackendStatus(`❌ Failed - ${response.status} ${response.statusText}`)
-        setDatabaseStatus({ error: 'Backend not accessible' })
-      }
-    } catch (error) {
-      setBackendStatus(`❌ Error - ${error.message}`)
-      setDatabaseStatus({ error: 'Backend not accessible' })
+  // One at a time so each round trip is timed on its own
+  const run = async () => {
+    setRunning(true)
+    setResults({})
+    setCopied('')
+    for (const check of CHECKS) {
+      const result = await runCheck(check, tr)
+      setResults((r) => ({ ...r, [check.key]: result }))
     }
+    setRunning(false)
   }
 
-  const checkDatabaseConnection = async (baseUrl) => {
-    try {
-      const response = await fetch(`${baseUrl}/test`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
+  useEffect(() => {
+    run()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  const report = buildReport(results, labelOf)
 
-      if (response.ok) {
-        const dbData = await response.json()
-        setDatabaseStatus(dbData)
-      } else {
-        setDatabaseStatus({ error: `Failed to check database - ${response.status}` })
-      }
-    } catch (error) {
-      setDatabaseStatus({ error: `Database check failed - ${error.message}` })
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(report)
+      setCopied(tr('diag.copied'))
+    } catch {
+      // Clipboard blocked (http, permissions): the report is still on screen to select by hand
+      setCopied(tr('diag.copyFailed'))
     }
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-8">
-      <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
-        <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">
-          Backend & Database Test
-        </h1>
-
-        <div className="space-y-4">
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
-            <p className="text-sm text-gray-600 break-all bg-gray-100 p-2 rounded">
-              {backendUrl || 'Detecting...'}
-            </p>
-          </div>
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="mx-auto w-full max-w-lg space-y-4">
+        <div className="flex items-center gap-3">
+          <h1 className={`text-xl font-bold ${t.primaryText}`}>{tr('diag.title')}</h1>
+          <Link to="/" className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('addVendor.backToMap')}</Link>
+        </div>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend Status:</h3>
-            <p className="text-sm font-mono bg-gray-100 p-2 rounded">
-              {backendStatus}
-            </p>
-          </div>
+        <p className="text-xs text-gray-500 break-all" dir="ltr">{backend || window.location.origin}</p>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Database Status:</h3>
-            <div className="text-sm bg-gray-100 p-3 rounded">
-              {databaseStatus ? (
-                databaseStatus.error ? (
-                  <p className="text-red-600 font-mono">{databaseStatus.error}</p>
-                ) : (
-                  <div className="space-y-2">
-                    <p><span className="font-semibold">Backend:</span> {databaseStatus.backend}</p>
-                    <p><span className="font-semibold">Database:</span> {databaseStatus.database}</p>
-                    <p><span className="font-semibold">DB URL:</span> {databaseStatus.database_url}</p>
-                    <p><span className="font-semibold">DB Name:</span> {databaseStatus.database_name}</p>
-                    <p><span className="font-semibold">Connection:</span> {databaseStatus.connection_status}</p>
-                    {databaseStatus.collections && databaseStatus.collections.length > 0 && (
-                      <p><span className="font-semibold">Collections:</span> {databaseStatus.collections.join(', ')}</p>
-                    )}
-                  </div>
-                )
-              ) : (
-                <p className="text-gray-500 font-mono">Checking database...</p>
-              )}
-            </div>
-          </div>
+        <ul className="bg-surface rounded-2xl shadow px-4 divide-y">
+          {CHECKS.map((c) => <CheckRow key={c.key} label={labelOf(c.key)} result={results[c.key]} />)}
+        </ul>
 
-          <button
-            onClick={checkBackendConnection}
-            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded transition-colors"
-          >
-            Test Again
+        <div className="flex items-center gap-2">
+          <button onClick={run} disabled={running} className="px-3 py-1.5 rounded-lg bg-gray-100 text-sm disabled:opacity-60">
+            {running ? tr('diag.running') : tr('diag.runAgain')}
           </button>
-
-          <a
-            href="/"
-            className="block w-full bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
-          >
-            Back to Home
-          </a>
+          <button onClick={copy} disabled={running} className={`px-3 py-1.5 rounded-lg text-sm text-white disabled:opacity-60 ${t.primaryBg} ${t.primaryBgHover}`}>
+            {tr('diag.copy')}
+          </button>
+          {copied && <span className="text-xs text-gray-500">{copied}</span>}
         </div>
+
+        <pre className="bg-surface rounded-2xl shadow p-3 text-[11px] text-gray-700 whitespace-pre-wrap break-all select-all" dir="ltr">{report}</pre>
       </div>
     </div>
   )
 }
-
-export default Test
\ No newline at end of file
@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react'
+import { MapContainer, Marker } from 'react-leaflet'
+import { Link, useParams } from 'react-router-dom'
+import { vendorLatLng, directionsUrl } from './lib/leaflet'
+import { themeClasses } from './lib/themes'
+import { trackVendorEvent } from './lib/track'
+import { fetchVendor } from './lib/vendors'
+import { errorMessage } from './lib/api'
+import { accessToken } from './lib/session'
+import useFavorites from './lib/useFavorites'
+import { useI18n } from './i18n'
+import Stars from './components/Stars'
+import VerifiedBadge from './components/VerifiedBadge'
+import OpenStatus from './components/OpenStatus'
+import WeeklyHours from './components/WeeklyHours'
+import VendorReviews from './components/VendorReviews'
+import FavoriteButton from './components/FavoriteButton'
+import BaseTiles from './components/BaseTiles'
+
+// Public page for a single vendor, so a link can be shared over WhatsApp/SMS
+export default function VendorDetail() {
+  const { id } = useParams()
+  const { tr, serviceName } = useI18n()
+  const [vendor, setVendor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [copied, setCopied] = useState(false)
+  const [token] = useState(accessToken)
+  const favorites = useFavorites(token)
+
+  const t = themeClasses
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        const found = await fetchVendor(id)
+        if (found) {
+          setVendor(found)
+          trackVendorEvent(found.id, 'view')
+        } else {
+          setError(tr('detail.notFound'))
+        }
+      } catch (e) {
+        setError(e.status === 404 ? tr('detail.notFound') : errorMessage(e, tr, 'detail.loadFailed'))
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id])
+
+  const share = async () => {
+    const url = window.location.href
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: vendor.name, url })
+      } else {
+        await navigator.clipboard.writeText(url)
+        setCopied(true)
+        setTimeout(() => setCopied(false), 2000)
+      }
+    } catch {
+      // user dismissed the share sheet
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <div className="mx-auto w-full max-w-lg bg-surface rounded-2xl shadow-xl overflow-hidden">
+        <div className="p-4 flex items-center border-b">
+          <Link to="/" className={`text-sm font-semibold ${t.primaryText}`}><span className="inline-block rtl:rotate-180">←</span> {tr('app.name')}</Link>
+        </div>
+
+        {loading && <div className="p-6 text-center text-sm text-gray-500">{tr('detail.loading')}</div>}
+        {error && <div className="p-6 text-center text-sm text-red-600">{error}</div>}
+
+        {vendor && (
+          <>
+            <div className="h-56">
+              <MapContainer center={vendorLatLng(vendor)} zoom={15} style={{ height: '100%', width: '100%' }}>
+                <BaseTiles />
+                <Marker position={vendorLatLng(vendor)} />
+              </MapContainer>
+            </div>
+
+            <div className="p-5 space-y-3">
+              <div>
+                <div className="flex items-start gap-2">
+                  <h1 className="text-xl font-bold text-gray-900">{vendor.name} <VerifiedBadge vendor={vendor} /></h1>
+                  <FavoriteButton active={favorites.isFavorite(vendor.id)} onToggle={() => favorites.toggleVendor(vendor)} className="ms-auto text-2xl" />
+                </div>
+                <div className={`text-sm ${t.primaryText}`}>{serviceName(vendor.service_type)}</div>
+                <Stars value={vendor.rating_avg || 0} count={vendor.rating_count || 0} />
+                <div><OpenStatus hours={vendor.hours} className="text-sm" /></div>
+              </div>
+
+              <dl className="text-sm space-y-1">
+                {vendor.address && (
+                  <div><dt className="inline text-gray-500">{tr('detail.address')} </dt><dd className="inline">{vendor.address}</dd></div>
+                )}
+                {vendor.phone && (
+                  <div><dt className="inline text-gray-500">{tr('detail.phone')} </dt><dd className="inline" dir="ltr">{vendor.phone}</dd></div>
+                )}
+                {vendor.description && <p className="text-gray-700 pt-1">{vendor.description}</p>}
+              </dl>
+
+              {vendor.hours && (
+                <div>
+                  <div className="text-sm text-gray-500">{tr('hours.title')}</div>
+                  <WeeklyHours hours={vendor.hours} />
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-2 pt-1">
+                {vendor.phone ? (
+                  <a href={`tel:${vendor.phone}`} onClick={() => trackVendorEvent(vendor.id, 'call')} className={`py-2.5 rounded-lg text-center text-white ${t.primaryBg} ${t.primaryBgHover}`}>{tr('vendor.callNow')}</a>
+                ) : (
+                  <span className="py-2.5 rounded-lg text-center bg-gray-100 text-gray-400">{tr('detail.noPhone')}</span>
+                )}
+                <a
+                  className="py-2.5 rounded-lg text-center bg-gray-800 text-surface"
+                  href={directionsUrl(vendorLatLng(vendor))}
+                  onClick={() => trackVendorEvent(vendor.id, 'directions')}
+                  target="_blank" rel="noreferrer"
+                >
+                  {tr('vendor.directions')}
+                </a>
+              </div>
+
+              <button onClick={share} className={`w-full py-2 rounded-lg border text-sm text-gray-700 ${t.border}`}>
+                {copied ? tr('detail.copied') : tr('detail.share')}
+              </button>
+
+              <VendorReviews
+                vendorId={vendor.id}
+                theme={t}
+                onRated={(agg) => setVendor((v) => ({ ...v, ...agg }))}
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,176 @@
+import { useState } from 'react'
+import { themeClasses } from '../lib/themes'
+import { passwordSignIn, requestOtp, verifyOtp } from '../lib/auth'
+import { saveSession } from '../lib/session'
+import { errorMessage } from '../lib/api'
+import { oidcProviders, startOidcSignIn } from '../lib/oidc'
+import useCountdown from '../lib/useCountdown'
+import { useI18n } from '../i18n'
+import TextInput from './TextInput'
+import LanguageSwitch from './LanguageSwitch'
+import OtpCodeForm from './OtpCodeForm'
+import ForgotPassword from './ForgotPassword'
+
+const RESEND_FALLBACK_S = 60
+
+export default function AuthScreen({ onAuthed, onGuest }) {
+  const [mode, setMode] = useState('login') // 'login' | 'register' | 'forgot'
+  const [method, setMethod] = useState('otp') // 'otp' | 'password'
+  const [phone, setPhone] = useState('')
+  const [email, setEmail] = useState('')
+  const [name, setName] = useState('')
+  const [password, setPassword] = useState('')
+  const [otpSent, setOtpSent] = useState(null) // response of the code request
+  const [resendLeft, setResendLeft] = useCountdown()
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const canSubmit = method === 'otp' ? !!phone : password.length >= 6 && (phone || email)
+  const t = themeClasses
+  const providers = oidcProviders()
+  const { tr } = useI18n()
+
+  const switchMode = (m) => {
+    setMode(m)
+    setOtpSent(null)
+    setError('')
+    setNotice('')
+  }
+
+  const run = async (fn, fallbackKey) => {
+    setLoading(true)
+    setError('')
+    try {
+      await fn()
+    } catch (e) {
+      setError(errorMessage(e, tr, fallbackKey))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const sendOtp = () => run(async () => {
+    const data = await requestOtp({ phone, purpose: mode })
+    setOtpSent(data)
+    setResendLeft(data.resend_after_s || RESEND_FALLBACK_S)
+  }, 'otp.sendFailed')
+
+  const submitOtp = (code) => run(async () => {
+    const data = await verifyOtp({ phone, code, name: mode === 'register' ? name : '' })
+    onAuthed(saveSession(data))
+  }, 'otp.invalid')
+
+  const signInWith = (provider) => run(() => startOidcSignIn(provider), 'oidc.failed')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!canSubmit) return
+    if (method === 'otp') return sendOtp()
+    run(async () => {
+      onAuthed(saveSession(await passwordSignIn(mode, { name, phone, email, password })))
+    }, 'auth.failed')
+  }
+
+  // Some backends sign the user straight in after a reset; otherwise back to login
+  const handleReset = (data) => {
+    if (data.access_token) return onAuthed(saveSession(data))
+    switchMode('login')
+    setMethod('password')
+    setNotice(tr('reset.done'))
+  }
+
+  return (
+    <div className="min-h-screen w-screen flex items-center justify-center bg-gradient-to-b from-primary-tint to-surface p-4">
+      <div className="relative w-full max-w-md bg-surface rounded-2xl shadow-xl p-6 space-y-5">
+        <div className="absolute top-3 end-3">
+          <LanguageSwitch />
+        </div>
+        <div className="text-center space-y-1">
+          <div className={`text-2xl font-bold ${t.primaryText}`}>{tr('app.name')}</div>
+          <p className="text-xs text-gray-500">{tr('app.tagline')}</p>
+        </div>
+
+        {mode === 'forgot' ? (
+          <ForgotPassword onDone={handleReset} onCancel={() => switchMode('login')} theme={t} />
+        ) : (
+          <>
+            <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+              <button onClick={() => switchMode('login')} className={`flex-1 py-2 rounded-md ${mode==='login'?'bg-surface shadow font-medium':''}`}>{tr('auth.login')}</button>
+              <button onClick={() => switchMode('register')} className={`flex-1 py-2 rounded-md ${mode==='register'?'bg-surface shadow font-medium':''}`}>{tr('auth.register')}</button>
+            </div>
+
+            {notice && <div className="rounded-lg bg-green-50 px-3 py-2 text-sm text-green-800">{notice}</div>}
+
+            {otpSent ? (
+              <OtpCodeForm
+                sentTo={phone}
+                devCode={otpSent.dev_code}
+                resendLeft={resendLeft}
+                onResend={sendOtp}
+                onSubmit={submitOtp}
+                onBack={() => setOtpSent(null)}
+                loading={loading}
+                error={error}
+                submitLabel={mode === 'register' ? tr('auth.createAccount') : tr('auth.signIn')}
+                theme={t}
+              />
+            ) : (
+              <form className="space-y-3" onSubmit={handleSubmit}>
+                {mode === 'register' && (
+                  <TextInput label={tr('auth.fullName')} value={name} onChange={setName} placeholder={tr('auth.fullNamePlaceholder')} ringClass={t.ring} />
+                )}
+                <TextInput label={tr('auth.phone')} value={phone} onChange={setPhone} placeholder="03xx-xxxxxxx" ringClass={t.ring} />
+                {method === 'password' && (
+                  <>
+                    <TextInput label={tr('auth.email')} type="email" value={email} onChange={setEmail} placeholder="you@example.com" ringClass={t.ring} />
+                    <TextInput label={tr('auth.password')} type="password" value={password} onChange={setPassword} placeholder={tr('auth.passwordPlaceholder')} ringClass={t.ring} />
+                  </>
+                )}
+
+                {error && <div className="text-sm text-red-600">{error}</div>}
+
+                <button disabled={!canSubmit || loading} className={`w-full py-2.5 rounded-lg text-white disabled:opacity-60 ${t.primaryBg} ${t.primaryBgHover}`}>
+                  {loading ? tr('auth.wait') : method === 'otp' ? tr('otp.send') : (mode==='register' ? tr('auth.createAccount') : tr('auth.signIn'))}
+                </button>
+
+                <div className="flex items-center text-sm">
+                  <button type="button" onClick={() => { setMethod(method === 'otp' ? 'password' : 'otp'); setError('') }} className={t.primaryText}>
+                    {method === 'otp' ? tr('auth.usePassword') : tr('auth.useOtp')}
+                  </button>
+                  {mode === 'login' && method === 'password' && (
+                    <button type="button" onClick={() => switchMode('forgot')} className="ms-auto text-gray-500 hover:text-gray-700">{tr('auth.forgot')}</button>
+                  )}
+                </div>
+              </form>
+            )}
+          </>
+        )}
+
+        <div className="relative py-2 text-center">
+          <span className="px-2 text-xs text-gray-500 bg-surface relative z-10">{tr('auth.or')}</span>
+          <div className="absolute inset-x-0 top-1/2 -translate-y-1/2 h-px bg-gray-200" />
+        </div>
+
+        {providers.length > 0 && (
+          <div className="grid grid-cols-2 gap-2">
+            {providers.map((p) => (
+              <button key={p.name} onClick={() => signInWith(p.name)} disabled={loading} className="py-2 rounded-lg border bg-surface text-gray-700 hover:bg-gray-50 disabled:opacity-70">
+                {tr('auth.continueWith', { provider: p.label })}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <button onClick={onGuest} className={`w-full py-2 rounded-lg border hover:bg-primary-tint ${t.primaryText} ${t.border}`}>
+          {tr('auth.guest')}
+        </button>
+
+        <p className="text-[11px] text-center text-gray-500">{tr('auth.guestNote')}</p>
+        <div className="text-[11px] text-center text-gray-500">
+          {tr('auth.paymentsNote')}
+        </div>
+      </div>
+    </div>
+  )
+}
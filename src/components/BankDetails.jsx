@@ -0,0 +1,43 @@
+import { useState } from 'react'
+import { useI18n } from '../i18n'
+
+// Where to send the transfer; the reference code is what lets admins match the payment
+export default function BankDetails({ subscription, theme }) {
+  const { tr } = useI18n()
+  const [copied, setCopied] = useState('')
+  const bank = subscription.bank || {}
+
+  const copy = async (label, value) => {
+    try {
+      await navigator.clipboard.writeText(value)
+      setCopied(label)
+      setTimeout(() => setCopied(''), 1500)
+    } catch {
+      // clipboard blocked; the value is still on screen
+    }
+  }
+
+  const rows = [
+    ['reference', tr('subs.reference'), subscription.reference_code],
+    ['amount', tr('subs.amount'), subscription.amount != null ? `Rs ${Number(subscription.amount).toLocaleString()}` : null],
+    ['bank', tr('subs.bankName'), bank.bank_name],
+    ['title', tr('subs.accountTitle'), bank.account_title],
+    ['account', tr('subs.accountNumber'), bank.account_number],
+    ['iban', tr('subs.iban'), bank.iban]
+  ].filter(([, , value]) => value)
+
+  return (
+    <dl className={`rounded-lg border p-3 text-sm space-y-1.5 ${theme.border}`}>
+      {rows.map(([key, label, value]) => (
+        <div key={key} className="flex items-center gap-2">
+          <dt className="text-gray-500">{label}</dt>
+          <dd className={`ms-auto font-mono ${key === 'reference' ? `font-bold ${theme.primaryText}` : ''}`} dir="ltr">{value}</dd>
+          <button type="button" onClick={() => copy(key, String(value))} className="text-xs text-gray-500 hover:text-gray-700">
+            {copied === key ? '✓' : tr('subs.copy')}
+          </button>
+        </div>
+      ))}
+      <p className="pt-1 text-[11px] text-gray-500">{tr('subs.referenceHint')}</p>
+    </dl>
+  )
+}
@@ -0,0 +1,10 @@
+import { TileLayer } from 'react-leaflet'
+import { TILE_LAYERS } from '../lib/leaflet'
+import useAppearance from '../lib/useAppearance'
+
+// Map tiles that follow dark mode; keyed so Leaflet swaps the layer instead of patching it
+export default function BaseTiles() {
+  const { dark } = useAppearance()
+  const tiles = dark ? TILE_LAYERS.dark : TILE_LAYERS.light
+  return <TileLayer key={tiles.url} url={tiles.url} attribution={tiles.attribution} />
+}
@@ -0,0 +1,142 @@
+import { CircleMarker, Tooltip } from 'react-leaflet'
+import { CORRIDOR_BUFFERS } from '../lib/corridor'
+import { formatDistance } from '../lib/geo'
+import { formatDuration } from '../lib/routing'
+import { trackVendorEvent } from '../lib/track'
+import { useI18n } from '../i18n'
+import LocationSearch from './LocationSearch'
+import VerifiedBadge from './VerifiedBadge'
+
+const ENDS = ['from', 'to']
+
+// Start/end dots for the corridor; drawn inside MapContainer
+export function CorridorEnds({ from, to }) {
+  const { tr } = useI18n()
+  return [from, to].map((p, i) => p && (
+    <CircleMarker key={ENDS[i]} center={p} radius={8} pathOptions={{ className: 'stroke-primary fill-surface', weight: 3, fillOpacity: 1 }}>
+      <Tooltip permanent direction="top" offset={[0, -8]}>{tr(`corridor.${ENDS[i]}`)}</Tooltip>
+    </CircleMarker>
+  ))
+}
+
+function EndPicker({ end, value, picking, position, onSet, onPick, theme }) {
+  const { tr } = useI18n()
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-2 text-xs">
+        <span className="font-semibold text-gray-700">{tr(`corridor.${end}`)}</span>
+        <span className="text-gray-500 truncate" dir="ltr">
+          {value ? `${value[0].toFixed(4)}, ${value[1].toFixed(4)}` : tr('corridor.notSet')}
+        </span>
+      </div>
+      <div className="flex items-center gap-1">
+        <LocationSearch onPick={onSet} ringClass={theme.ring} />
+        <button
+          type="button"
+          onClick={() => onSet(position)}
+          disabled={!position}
+          title={tr('corridor.useMine')}
+          className="shrink-0 rounded-lg border bg-surface px-2 py-1.5 text-sm disabled:opacity-40"
+        >
+          📍
+        </button>
+        <button
+          type="button"
+          onClick={onPick}
+          title={tr('header.pickOnMap')}
+          className={`shrink-0 rounded-lg border px-2 py-1.5 text-sm ${picking ? `${theme.primaryBg} text-white ${theme.chipActiveBorder}` : 'bg-surface'}`}
+        >
+          📌
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Highway search: vendors within a buffer of the road between two points, in driving order
+export default function CorridorPanel({
+  corridor, picking, position, bufferKm, state, vendors,
+  onSetEnd, onPickEnd, onSwap, onBufferChange, onSelect, onClose, theme
+}) {
+  const { tr, serviceName } = useI18n()
+  const { route, loading, error, searching, failed } = state
+  const ready = corridor.from && corridor.to
+
+  return (
+    <div className="absolute z-[1000] bg-surface shadow-xl flex flex-col inset-x-0 bottom-0 max-h-[60%] rounded-t-2xl sm:inset-x-auto sm:start-3 sm:top-3 sm:bottom-3 sm:w-80 sm:max-h-none sm:rounded-2xl">
+      <div className="flex items-center px-4 py-2 border-b">
+        <span className="text-sm font-semibold text-gray-800">{tr('corridor.title')}</span>
+        <button onClick={onClose} className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('list.close')}</button>
+      </div>
+
+      <div className="overflow-y-auto">
+        <section className="px-4 py-3 space-y-2 border-b">
+          {ENDS.map((end) => (
+            <EndPicker
+              key={end}
+              end={end}
+              value={corridor[end]}
+              picking={picking === end}
+              position={position}
+              onSet={(p) => onSetEnd(end, p)}
+              onPick={() => onPickEnd(picking === end ? null : end)}
+              theme={theme}
+            />
+          ))}
+          <div className="flex items-center gap-2 pt-1 text-xs text-gray-600">
+            <button onClick={onSwap} disabled={!corridor.from && !corridor.to} className="rounded-lg border px-2 py-1 disabled:opacity-40">
+              ⇅ {tr('corridor.swap')}
+            </button>
+            <label className="ms-auto flex items-center gap-1">
+              <span>{tr('corridor.buffer')}</span>
+              <select
+                value={bufferKm}
+                onChange={(e) => onBufferChange(Number(e.target.value))}
+                className="rounded-md border bg-surface px-1.5 py-1 text-xs"
+              >
+                {CORRIDOR_BUFFERS.map((km) => (
+                  <option key={km} value={km}>{tr('radius.km', { km })}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </section>
+
+        <section className="px-4 py-3 space-y-2">
+          {!ready && <p className="text-xs text-gray-500">{tr('corridor.hint')}</p>}
+          {loading && <p className="text-sm text-gray-500">{tr('route.loading')}</p>}
+          {error && <p className="text-sm text-red-600">{tr('route.failed')}</p>}
+          {route && (
+            <div className="flex items-baseline gap-3">
+              <span className={`text-lg font-bold ${theme.primaryText}`}>{formatDuration(route.durationMin, tr)}</span>
+              <span className="text-sm text-gray-600">{formatDistance(route.distanceKm)}</span>
+            </div>
+          )}
+          {searching && <p className="text-sm text-gray-500">{tr('corridor.searching')}</p>}
+          {failed && <p className="text-sm text-red-600">{tr('corridor.failed')}</p>}
+          {route && !searching && !failed && (
+            <p className="text-xs text-gray-500">{tr('corridor.count', { n: vendors.length, km: bufferKm })}</p>
+          )}
+
+          <ul className="divide-y">
+            {vendors.map((v) => (
+              <li key={v.id} className="flex items-center gap-2 py-2">
+                <button onClick={() => onSelect(v)} className="min-w-0 flex-1 text-start">
+                  <div className="text-sm font-medium text-gray-900 truncate">{v.name} <VerifiedBadge vendor={v} /></div>
+                  <div className="text-xs text-gray-500">
+                    {serviceName(v.service_type)} · {tr('corridor.position', { along: formatDistance(v.along_km), off: formatDistance(v.offset_km) })}
+                  </div>
+                </button>
+                {v.phone && (
+                  <a href={`tel:${v.phone}`} onClick={() => trackVendorEvent(v.id, 'call')} className={`shrink-0 rounded-lg px-2.5 py-1 text-xs text-white ${theme.primaryBg}`}>
+                    {tr('vendor.callNow')}
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,16 @@
+import { useI18n } from '../i18n'
+
+export default function FavoriteButton({ active, onToggle, className = '' }) {
+  const { tr } = useI18n()
+  return (
+    <button
+      type="button"
+      onClick={onToggle}
+      aria-pressed={active}
+      title={tr(active ? 'fav.remove' : 'fav.add')}
+      className={`leading-none ${active ? 'text-amber-500' : 'text-gray-400 hover:text-amber-500'} ${className}`}
+    >
+      {active ? '★' : '☆'}
+    </button>
+  )
+}
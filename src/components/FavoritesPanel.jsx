@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { PLACE_PRESETS } from '../lib/favorites'
+import { trackVendorEvent } from '../lib/track'
+import { useI18n } from '../i18n'
+import FavoriteButton from './FavoriteButton'
+import VerifiedBadge from './VerifiedBadge'
+
+// Quick access to saved places and starred vendors; same footprint as the nearby list
+export default function FavoritesPanel({ favorites, position, onJumpToPlace, onSelectVendor, onClose, theme }) {
+  const { tr, serviceName } = useI18n()
+  const [name, setName] = useState('')
+  const { vendors, places, savePlace, removePlace, toggleVendor } = favorites
+
+  const save = (placeName) => {
+    if (!placeName.trim() || !position) return
+    savePlace(placeName.trim(), position)
+    setName('')
+  }
+
+  return (
+    <div className="absolute z-[1000] bg-surface shadow-xl flex flex-col inset-x-0 bottom-0 max-h-[55%] rounded-t-2xl sm:inset-x-auto sm:start-3 sm:top-3 sm:bottom-3 sm:w-80 sm:max-h-none sm:rounded-2xl">
+      <div className="flex items-center px-4 py-2 border-b">
+        <span className="text-sm font-semibold text-gray-800">{tr('fav.title')}</span>
+        <button onClick={onClose} className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('list.close')}</button>
+      </div>
+
+      <div className="overflow-y-auto">
+        <section className="px-4 py-3 space-y-2 border-b">
+          <h3 className="text-xs font-semibold uppercase text-gray-500">{tr('fav.places')}</h3>
+          {places.length === 0 && <p className="text-xs text-gray-500">{tr('fav.noPlaces')}</p>}
+          <ul className="space-y-1">
+            {places.map((p) => (
+              <li key={p.id} className="flex items-center gap-2">
+                <button onClick={() => onJumpToPlace([p.lat, p.lng])} className="min-w-0 flex-1 text-start text-sm text-gray-900 truncate hover:underline">
+                  📍 {PLACE_PRESETS.includes(p.name) ? tr(`fav.preset.${p.name}`) : p.name}
+                </button>
+                <button onClick={() => removePlace(p.id)} aria-label={tr('fav.removePlace')} className="text-xs text-gray-400 hover:text-gray-600">✕</button>
+              </li>
+            ))}
+          </ul>
+
+          {position ? (
+            <div className="space-y-1.5 pt-1">
+              <div className="text-[11px] text-gray-500">{tr('fav.saveHere')}</div>
+              <div className="flex gap-1.5">
+                {PLACE_PRESETS.map((k) => (
+                  <button key={k} onClick={() => save(k)} className="rounded-full border px-2 py-0.5 text-xs">{tr(`fav.preset.${k}`)}</button>
+                ))}
+              </div>
+              <form onSubmit={(e) => { e.preventDefault(); save(name) }} className="flex gap-1.5">
+                <input
+                  value={name}
+                  onChange={(e) => setName(e.target.value.slice(0, 40))}
+                  placeholder={tr('fav.placeName')}
+                  className={`min-w-0 flex-1 rounded-lg border px-2 py-1 text-sm outline-none focus:ring-2 ${theme.ring}`}
+                />
+                <button disabled={!name.trim()} className={`rounded-lg px-3 py-1 text-sm text-white disabled:opacity-60 ${theme.primaryBg}`}>{tr('admin.save')}</button>
+              </form>
+            </div>
+          ) : (
+            <p className="text-[11px] text-gray-500">{tr('fav.needPosition')}</p>
+          )}
+        </section>
+
+        <section className="px-4 py-3 space-y-2">
+          <h3 className="text-xs font-semibold uppercase text-gray-500">{tr('fav.vendors')}</h3>
+          {vendors.length === 0 && <p className="text-xs text-gray-500">{tr('fav.noVendors')}</p>}
+          <ul className="divide-y">
+            {vendors.map((v) => (
+              <li key={v.id} className="flex items-center gap-2 py-2">
+                <FavoriteButton active onToggle={() => toggleVendor(v)} />
+                <button onClick={() => onSelectVendor(v)} className="min-w-0 flex-1 text-start">
+                  <div className="text-sm font-medium text-gray-900 truncate">{v.name} <VerifiedBadge vendor={v} /></div>
+                  <div className="text-xs text-gray-500">{serviceName(v.service_type)}</div>
+                </button>
+                {v.phone && (
+                  <a href={`tel:${v.phone}`} onClick={() => trackVendorEvent(v.id, 'call')} className={`shrink-0 rounded-lg px-2.5 py-1 text-xs text-white ${theme.primaryBg}`}>
+                    {tr('vendor.callNow')}
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,83 @@
+import { useState } from 'react'
+import { requestOtp, resetPassword } from '../lib/auth'
+import { errorMessage } from '../lib/api'
+import useCountdown from '../lib/useCountdown'
+import { useI18n } from '../i18n'
+import TextInput from './TextInput'
+import OtpCodeForm from './OtpCodeForm'
+
+const RESEND_FALLBACK_S = 60
+
+// Reset by a code sent to the account's phone (SMS) or email
+export default function ForgotPassword({ onDone, onCancel, theme }) {
+  const { tr } = useI18n()
+  const [phone, setPhone] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [sent, setSent] = useState(null) // response of the code request
+  const [resendLeft, setResendLeft] = useCountdown()
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const sendCode = async (e) => {
+    e?.preventDefault()
+    setLoading(true)
+    setError('')
+    try {
+      const data = await requestOtp({ phone, email, purpose: 'reset' })
+      setSent(data)
+      setResendLeft(data.resend_after_s || RESEND_FALLBACK_S)
+    } catch (e) {
+      setError(errorMessage(e, tr, 'otp.sendFailed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const reset = async (code) => {
+    setLoading(true)
+    setError('')
+    try {
+      const data = await resetPassword({ phone, email, code, password })
+      onDone(data)
+    } catch (e) {
+      setError(errorMessage(e, tr, 'reset.failed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="font-semibold text-gray-900">{tr('reset.title')}</div>
+      {sent ? (
+        <OtpCodeForm
+          sentTo={phone || email}
+          devCode={sent.dev_code}
+          resendLeft={resendLeft}
+          onResend={sendCode}
+          onSubmit={reset}
+          onBack={() => setSent(null)}
+          loading={loading}
+          error={error}
+          submitLabel={tr('reset.submit')}
+          canSubmit={password.length >= 6}
+          theme={theme}
+        >
+          <TextInput label={tr('reset.newPassword')} type="password" value={password} onChange={setPassword} placeholder={tr('auth.passwordPlaceholder')} ringClass={theme.ring} />
+        </OtpCodeForm>
+      ) : (
+        <form className="space-y-3" onSubmit={sendCode}>
+          <p className="text-sm text-gray-600">{tr('reset.hint')}</p>
+          <TextInput label={tr('auth.phone')} value={phone} onChange={setPhone} placeholder="03xx-xxxxxxx" ringClass={theme.ring} />
+          <TextInput label={tr('auth.email')} type="email" value={email} onChange={setEmail} placeholder="you@example.com" ringClass={theme.ring} />
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <button disabled={!(phone || email) || loading} className={`w-full py-2.5 rounded-lg text-white disabled:opacity-60 ${theme.primaryBg} ${theme.primaryBgHover}`}>
+            {loading ? tr('auth.wait') : tr('otp.send')}
+          </button>
+        </form>
+      )}
+      <button onClick={onCancel} className="w-full text-sm text-gray-500 hover:text-gray-700">{tr('reset.back')}</button>
+    </div>
+  )
+}
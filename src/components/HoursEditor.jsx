@@ -0,0 +1,53 @@
+import { DAYS, ALL_DAY, isAllDay } from '../lib/hours'
+import { useI18n } from '../i18n'
+
+// One opening interval per day, or closed, or open 24 hours
+export default function HoursEditor({ hours, onChange }) {
+  const { tr } = useI18n()
+
+  const setDay = (day, intervals) => onChange({ ...hours, [day]: intervals })
+  const modeOf = (intervals) => (!intervals?.length ? 'closed' : isAllDay(intervals) ? 'all_day' : 'open')
+
+  const setMode = (day, mode) => {
+    if (mode === 'closed') setDay(day, [])
+    else if (mode === 'all_day') setDay(day, [{ ...ALL_DAY }])
+    else setDay(day, [{ open: '09:00', close: '21:00' }])
+  }
+
+  return (
+    <div className="space-y-1.5 text-sm">
+      {DAYS.map((day) => {
+        const intervals = hours[day] || []
+        const mode = modeOf(intervals)
+        return (
+          <div key={day} className="flex items-center gap-2">
+            <span className="w-10 text-gray-700">{tr(`hours.day.${day}`)}</span>
+            <select value={mode} onChange={(e) => setMode(day, e.target.value)} className="rounded-md border bg-surface px-1.5 py-1 text-xs">
+              <option value="open">{tr('hours.open')}</option>
+              <option value="all_day">{tr('hours.allDay')}</option>
+              <option value="closed">{tr('hours.closed')}</option>
+            </select>
+            {mode === 'open' && (
+              <span className="flex items-center gap-1" dir="ltr">
+                <input
+                  type="time"
+                  value={intervals[0].open}
+                  onChange={(e) => setDay(day, [{ ...intervals[0], open: e.target.value }])}
+                  className="rounded-md border px-1.5 py-0.5 text-xs"
+                />
+                –
+                <input
+                  type="time"
+                  value={intervals[0].close}
+                  onChange={(e) => setDay(day, [{ ...intervals[0], close: e.target.value }])}
+                  className="rounded-md border px-1.5 py-0.5 text-xs"
+                />
+              </span>
+            )}
+          </div>
+        )
+      })}
+      <p className="text-[11px] text-gray-500">{tr('hours.overnightHint')}</p>
+    </div>
+  )
+}
@@ -0,0 +1,16 @@
+import { languages, useI18n } from '../i18n'
+
+// Toggles between the two supported languages, labelled in the target language
+export default function LanguageSwitch() {
+  const { lang, setLang } = useI18n()
+  const next = lang === 'ur' ? 'en' : 'ur'
+  return (
+    <button
+      onClick={() => setLang(next)}
+      lang={next}
+      className="h-7 px-2 rounded-lg border text-xs bg-surface text-gray-700 border-gray-200"
+    >
+      {languages[next].name}
+    </button>
+  )
+}
@@ -0,0 +1,21 @@
+import { Circle, Marker, Popup } from 'react-leaflet'
+import { youIcon } from '../lib/markers'
+
+// Heading-aware position dot with its GPS accuracy circle
+export default function LiveMarker({ position, accuracy, heading, label }) {
+  return (
+    <>
+      {accuracy > 0 && (
+        <Circle
+          center={position}
+          radius={accuracy}
+          interactive={false}
+          pathOptions={{ color: '#2563eb', weight: 1, fillColor: '#3b82f6', fillOpacity: 0.12 }}
+        />
+      )}
+      <Marker position={position} icon={youIcon(heading)}>
+        {label && <Popup>{label}</Popup>}
+      </Marker>
+    </>
+  )
+}
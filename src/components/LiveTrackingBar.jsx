@@ -0,0 +1,76 @@
+import { useEffect, useRef, useState } from 'react'
+import { createLiveShare, pushLiveShare, endLiveShare, liveShareUrl, shouldPush, SHARE_MINUTES } from '../lib/liveShare'
+import { useI18n } from '../i18n'
+
+// Shown while tracking: accuracy, the share link, and a stop button.
+// While a share is open every fix is pushed (throttled) so the link stays live.
+export default function LiveTrackingBar({ fix, error, onStop, theme }) {
+  const { tr } = useI18n()
+  const [share, setShare] = useState(null)
+  const [sharing, setSharing] = useState(false)
+  const [shareError, setShareError] = useState('')
+  const [copied, setCopied] = useState(false)
+  const lastPush = useRef(0)
+
+  useEffect(() => {
+    if (!share || !fix || !shouldPush(lastPush.current)) return
+    lastPush.current = Date.now()
+    pushLiveShare(share, fix).catch(() => {
+      // a missed update is replaced by the next fix
+    })
+  }, [share, fix])
+
+  // Leaving tracking mode closes the link rather than leaving it frozen
+  useEffect(() => () => {
+    if (share) endLiveShare(share)
+  }, [share])
+
+  const startShare = async () => {
+    setSharing(true)
+    setShareError('')
+    try {
+      const created = share || await createLiveShare()
+      setShare(created)
+      const url = liveShareUrl(created.id)
+      const text = tr('live.shareText', { url, minutes: SHARE_MINUTES })
+      if (navigator.share) {
+        await navigator.share({ text, url }).catch(() => {})
+      } else {
+        await navigator.clipboard.writeText(url)
+        setCopied(true)
+        setTimeout(() => setCopied(false), 2000)
+      }
+    } catch {
+      setShareError(tr('live.shareFailed'))
+    } finally {
+      setSharing(false)
+    }
+  }
+
+  return (
+    <div className="absolute z-[1000] bottom-3 start-3 end-16 sm:end-auto sm:w-80 rounded-2xl bg-surface shadow-xl p-3 space-y-2 text-sm">
+      <div className="flex items-center gap-2">
+        <span className="relative flex h-2.5 w-2.5">
+          <span className="absolute inline-flex h-full w-full animate-ping rounded-full bg-blue-400 opacity-75" />
+          <span className="relative inline-flex h-2.5 w-2.5 rounded-full bg-blue-600" />
+        </span>
+        <span className="font-medium text-gray-900">{tr('live.tracking')}</span>
+        {fix && <span className="text-xs text-gray-500">{tr('live.accuracy', { m: Math.round(fix.accuracy) })}</span>}
+        <button onClick={onStop} className="ms-auto text-gray-500 hover:text-gray-700">{tr('live.stop')}</button>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{tr(error === 'denied' ? 'map.locationDenied' : 'live.unavailable')}</p>}
+      {!fix && !error && <p className="text-xs text-gray-500">{tr('live.waiting')}</p>}
+
+      <button
+        onClick={startShare}
+        disabled={sharing || !fix}
+        className={`w-full py-2 rounded-lg text-white disabled:opacity-60 ${theme.primaryBg} ${theme.primaryBgHover}`}
+      >
+        {copied ? tr('detail.copied') : share ? tr('live.shareAgain') : tr('live.share')}
+      </button>
+      {share && <p className="text-[11px] text-gray-500">{tr('live.sharingFor', { minutes: SHARE_MINUTES })}</p>}
+      {shareError && <p className="text-xs text-red-600">{shareError}</p>}
+    </div>
+  )
+}
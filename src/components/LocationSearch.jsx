@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react'
+import { parseLatLng, searchPlaces } from '../lib/geocode'
+import { useI18n } from '../i18n'
+
+// Search box for a city/area or pasted "lat, lng"; picking a result sets the user's position
+export default function LocationSearch({ onPick, ringClass }) {
+  const { tr, lang } = useI18n()
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState('')
+
+  const coords = parseLatLng(query)
+
+  useEffect(() => {
+    const q = query.trim()
+    if (q.length < 3 || parseLatLng(q)) {
+      setResults([])
+      setError('')
+      return
+    }
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      setSearching(true)
+      setError('')
+      try {
+        const found = await searchPlaces(q, { signal: controller.signal, lang })
+        setResults(found)
+        if (!found.length) setError(tr('search.none'))
+      } catch (e) {
+        if (e.name !== 'AbortError') setError(tr('search.unavailable'))
+      } finally {
+        setSearching(false)
+      }
+    }, 400)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, lang])
+
+  const pick = (position) => {
+    onPick(position)
+    setQuery('')
+    setResults([])
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (coords) pick(coords)
+    else if (results[0]) pick(results[0].position)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="relative w-full">
+      <input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={tr('search.placeholder')}
+        className={`w-full rounded-lg border px-3 py-1.5 text-sm outline-none focus:ring-2 ${ringClass}`}
+      />
+      {(coords || results.length > 0 || searching || error) && (
+        <ul className="absolute z-[1100] mt-1 w-full rounded-lg border bg-surface shadow-lg text-sm overflow-hidden">
+          {coords && (
+            <li>
+              <button type="button" onClick={() => pick(coords)} className="w-full text-start px-3 py-2 hover:bg-gray-50">
+                {tr('search.goTo', { coords: `${coords[0].toFixed(5)}, ${coords[1].toFixed(5)}` })}
+              </button>
+            </li>
+          )}
+          {results.map((r) => (
+            <li key={r.id}>
+              <button type="button" onClick={() => pick(r.position)} className="w-full text-start px-3 py-2 hover:bg-gray-50 truncate">
+                {r.label}
+              </button>
+            </li>
+          ))}
+          {searching && <li className="px-3 py-2 text-gray-500">{tr('search.searching')}</li>}
+          {!searching && error && <li className="px-3 py-2 text-gray-500">{error}</li>}
+        </ul>
+      )}
+    </form>
+  )
+}
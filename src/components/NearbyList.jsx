@@ -0,0 +1,54 @@
+import { formatDistance } from '../lib/geo'
+import { useI18n } from '../i18n'
+import Stars from './Stars'
+import VerifiedBadge from './VerifiedBadge'
+import OpenStatus from './OpenStatus'
+
+// Nearby vendors as a list: a bottom sheet on phones, a side panel on wider screens
+export default function NearbyList({ vendors, selectedId, onSelect, sortBy, onSortChange, onClose, theme }) {
+  const { tr, serviceName } = useI18n()
+  return (
+    <div className="absolute z-[1000] bg-surface shadow-xl flex flex-col inset-x-0 bottom-0 max-h-[45%] rounded-t-2xl sm:inset-x-auto sm:start-3 sm:top-3 sm:bottom-3 sm:w-80 sm:max-h-none sm:rounded-2xl">
+      <div className="flex items-center px-4 py-2 border-b">
+        <span className="text-sm font-semibold text-gray-800">{tr('list.count', { n: vendors.length })}</span>
+        <select
+          value={sortBy}
+          onChange={(e) => onSortChange(e.target.value)}
+          aria-label={tr('sort.label')}
+          className="ms-auto rounded-md border bg-surface px-1.5 py-1 text-xs"
+        >
+          <option value="distance">{tr('sort.distance')}</option>
+          <option value="rating">{tr('sort.rating')}</option>
+        </select>
+        <button onClick={onClose} className="ms-2 text-sm text-gray-500 hover:text-gray-700">{tr('list.close')}</button>
+      </div>
+      <ul className="overflow-y-auto divide-y">
+        {vendors.length === 0 && (
+          <li className="p-4 text-sm text-gray-500">{tr('list.empty')}</li>
+        )}
+        {vendors.map((v) => (
+          <li key={v.id}>
+            <button
+              onClick={() => onSelect(v)}
+              className={`w-full text-start px-4 py-2.5 hover:bg-gray-50 ${selectedId === v.id ? 'bg-gray-50' : ''}`}
+            >
+              <div className="flex items-baseline gap-2">
+                <span className="font-medium text-sm text-gray-900 truncate">{v.name}</span>
+                <VerifiedBadge vendor={v} />
+                {v.distance_km != null && (
+                  <span className={`ms-auto shrink-0 text-xs ${theme.primaryText}`}>{formatDistance(v.distance_km)}</span>
+                )}
+              </div>
+              <div className="flex items-center gap-2 text-xs text-gray-500">
+                <span>{serviceName(v.service_type)}</span>
+                {v.rating_count > 0 && <Stars value={v.rating_avg} count={v.rating_count} size="text-xs" />}
+                {v.available_now && <span className="text-green-700">● {tr('vendor.availableNow')}</span>}
+              </div>
+              <OpenStatus hours={v.hours} className="text-[11px]" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+import { DAYS, openStatus, pakistanNow, formatTime } from '../lib/hours'
+import { useI18n } from '../i18n'
+
+// "Open now · Closes at 9 pm" / "Closed · Opens Tue 9 am", in Pakistan time
+export default function OpenStatus({ hours, className = 'text-xs' }) {
+  const { tr } = useI18n()
+  const now = pakistanNow()
+  const status = openStatus(hours, now)
+  if (!status) return null
+
+  const today = Math.floor(now / (24 * 60))
+  // Only name the day when it is not today or the early hours of tomorrow
+  const when = (prefix, { day, time }) => {
+    const diff = (DAYS.indexOf(day) - today + 7) % 7
+    const sameDay = diff === 0 || (diff === 1 && time < '06:00')
+    return sameDay
+      ? tr(`${prefix}At`, { time: formatTime(time, tr) })
+      : tr(`${prefix}On`, { day: tr(`hours.day.${day}`), time: formatTime(time, tr) })
+  }
+
+  if (status.open) {
+    return (
+      <span className={`${className} font-medium text-green-700`}>
+        {tr('hours.openNow')}
+        {status.closesAt ? ` · ${when('hours.closes', status.closesAt)}` : ` · ${tr('hours.always')}`}
+      </span>
+    )
+  }
+  return (
+    <span className={`${className} font-medium text-red-700`}>
+      {tr('hours.closedNow')}
+      {status.opensAt && ` · ${when('hours.opens', status.opensAt)}`}
+    </span>
+  )
+}
@@ -0,0 +1,50 @@
+import { useState } from 'react'
+import { useI18n } from '../i18n'
+
+export const OTP_LENGTH = 6
+
+// Code-entry step shared by OTP sign-in and password reset. `children` adds extra
+// fields (e.g. the new password) above the submit button.
+export default function OtpCodeForm({ sentTo, devCode, resendLeft, onResend, onSubmit, onBack, loading, error, submitLabel, canSubmit = true, theme, children }) {
+  const { tr } = useI18n()
+  const [code, setCode] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (code.length === OTP_LENGTH && canSubmit) onSubmit(code)
+  }
+
+  return (
+    <form className="space-y-3" onSubmit={handleSubmit}>
+      <p className="text-sm text-gray-600">{tr('otp.sentTo', { to: sentTo })}</p>
+      {devCode && <p className="rounded-lg bg-amber-50 px-3 py-2 text-xs text-amber-800">{tr('otp.devCode', { code: devCode })}</p>}
+      <label className="block text-sm">
+        <span className="text-gray-700">{tr('otp.code')}</span>
+        <input
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, OTP_LENGTH))}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          autoFocus
+          dir="ltr"
+          placeholder={'•'.repeat(OTP_LENGTH)}
+          className={`mt-1 w-full rounded-lg border px-3 py-2 text-center text-lg tracking-[0.5em] outline-none focus:ring-2 ${theme.ring}`}
+        />
+      </label>
+      {children}
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <button disabled={code.length !== OTP_LENGTH || !canSubmit || loading} className={`w-full py-2.5 rounded-lg text-white disabled:opacity-60 ${theme.primaryBg} ${theme.primaryBgHover}`}>
+        {loading ? tr('auth.wait') : submitLabel}
+      </button>
+
+      <div className="flex items-center text-sm">
+        <button type="button" onClick={onBack} className="text-gray-500 hover:text-gray-700">{tr('otp.changeNumber')}</button>
+        <button type="button" onClick={onResend} disabled={resendLeft > 0 || loading} className={`ms-auto disabled:text-gray-400 ${theme.primaryText}`}>
+          {resendLeft > 0 ? tr('otp.resendIn', { s: resendLeft }) : tr('otp.resend')}
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,69 @@
+import { useEffect, useState } from 'react'
+import { api, errorMessage } from '../lib/api'
+import { useI18n } from '../i18n'
+
+const MAX_RECEIPT_BYTES = 5 * 1024 * 1024
+
+// Receipt image upload; the backend moves the subscription to "pending" on success
+export default function ProofUpload({ subscriptionId, theme, onUploaded }) {
+  const { tr } = useI18n()
+  const [file, setFile] = useState(null)
+  const [preview, setPreview] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  // Each pick makes a new blob URL; free the previous one, and the last one on unmount
+  useEffect(() => {
+    if (!preview) return
+    return () => URL.revokeObjectURL(preview)
+  }, [preview])
+
+  const pick = (f) => {
+    setError('')
+    if (!f) return
+    if (!f.type.startsWith('image/')) return setError(tr('subs.proofNotImage'))
+    if (f.size > MAX_RECEIPT_BYTES) return setError(tr('subs.proofTooLarge'))
+    setFile(f)
+    setPreview(URL.createObjectURL(f))
+  }
+
+  const upload = async () => {
+    if (!file) return
+    setLoading(true)
+    setError('')
+    try {
+      const body = new FormData()
+      body.append('file', file)
+      const data = await api(`/api/subscriptions/${encodeURIComponent(subscriptionId)}/proof`, { method: 'POST', form: body })
+      onUploaded(data.subscription || data)
+    } catch (e) {
+      setError(errorMessage(e, tr, 'subs.proofFailed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm">
+        <span className="text-gray-700">{tr('subs.proofLabel')}</span>
+        <input
+          type="file"
+          accept="image/*"
+          onChange={(e) => pick(e.target.files?.[0])}
+          className="mt-1 block w-full text-sm text-gray-600 file:me-3 file:rounded-lg file:border-0 file:bg-gray-100 file:px-3 file:py-2"
+        />
+      </label>
+      {preview && <img src={preview} alt="" className="max-h-48 rounded-lg border" />}
+      {error && <div className="text-sm text-red-600">{error}</div>}
+      <button
+        type="button"
+        onClick={upload}
+        disabled={!file || loading}
+        className={`w-full py-2 rounded-lg text-white text-sm disabled:opacity-60 ${theme.primaryBg} ${theme.primaryBgHover}`}
+      >
+        {loading ? tr('auth.wait') : tr('subs.proofSubmit')}
+      </button>
+    </div>
+  )
+}
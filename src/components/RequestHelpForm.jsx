@@ -0,0 +1,131 @@
+import { useEffect, useRef, useState } from 'react'
+import { serviceKeys } from '../lib/services'
+import { createJob, BROADCAST_COUNTS, MAX_JOB_PHOTOS, MAX_JOB_PHOTO_BYTES } from '../lib/jobs'
+import { errorMessage } from '../lib/api'
+import { useI18n } from '../i18n'
+
+const MAX_DESCRIPTION_LENGTH = 1000
+
+// Sends a help request to one vendor, or to the nearest few of a service type
+export default function RequestHelpForm({ position, vendor, defaultServiceType, onSent, onClose, theme }) {
+  const { tr, serviceName } = useI18n()
+  const [serviceType, setServiceType] = useState(defaultServiceType || serviceKeys[0])
+  const [count, setCount] = useState(BROADCAST_COUNTS[0])
+  const [description, setDescription] = useState('')
+  const [photos, setPhotos] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  // Blob URLs for the previews are freed on removal and when the form closes
+  const photosRef = useRef(photos)
+  photosRef.current = photos
+  useEffect(() => () => photosRef.current.forEach((p) => URL.revokeObjectURL(p.preview)), [])
+
+  const removePhoto = (photo) => {
+    URL.revokeObjectURL(photo.preview)
+    setPhotos((list) => list.filter((p) => p !== photo))
+  }
+
+  const addPhotos = (files) => {
+    setError('')
+    const picked = [...files].filter((f) => f.type.startsWith('image/'))
+    if (picked.some((f) => f.size > MAX_JOB_PHOTO_BYTES)) return setError(tr('jobs.photoTooLarge'))
+    const room = MAX_JOB_PHOTOS - photos.length
+    const added = picked.slice(0, room).map((file) => ({ file, preview: URL.createObjectURL(file) }))
+    setPhotos((list) => [...list, ...added])
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!position) return setError(tr('jobs.noPosition'))
+    setLoading(true)
+    setError('')
+    try {
+      const job = await createJob({
+        target: vendor ? { vendorId: vendor.id } : { serviceType, count },
+        position,
+        description: description.trim(),
+        photos: photos.map((p) => p.file)
+      })
+      onSent(job)
+    } catch (e) {
+      setError(errorMessage(e, tr, 'jobs.sendFailed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[1500] flex items-end sm:items-center justify-center bg-black/40 p-0 sm:p-4">
+      <form onSubmit={handleSubmit} className="w-full sm:max-w-md max-h-full overflow-y-auto bg-surface rounded-t-2xl sm:rounded-2xl shadow-xl p-4 space-y-3">
+        <div className="flex items-center">
+          <h2 className={`text-lg font-bold ${theme.primaryText}`}>{tr('jobs.requestTitle')}</h2>
+          <button type="button" onClick={onClose} className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('list.close')}</button>
+        </div>
+
+        {vendor ? (
+          <p className="text-sm text-gray-700">{tr('jobs.sendingTo', { name: vendor.name })}</p>
+        ) : (
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <label className="block">
+              <span className="text-gray-700">{tr('jobs.service')}</span>
+              <select value={serviceType} onChange={(e) => setServiceType(e.target.value)} className="mt-1 w-full rounded-lg border px-2 py-2 bg-surface">
+                {serviceKeys.map((k) => <option key={k} value={k}>{serviceName(k)}</option>)}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-gray-700">{tr('jobs.broadcastTo')}</span>
+              <select value={count} onChange={(e) => setCount(Number(e.target.value))} className="mt-1 w-full rounded-lg border px-2 py-2 bg-surface">
+                {BROADCAST_COUNTS.map((n) => <option key={n} value={n}>{tr('jobs.nearestN', { n })}</option>)}
+              </select>
+            </label>
+          </div>
+        )}
+
+        <label className="block text-sm">
+          <span className="text-gray-700">{tr('jobs.problem')}</span>
+          <textarea
+            required
+            value={description}
+            onChange={(e) => setDescription(e.target.value.slice(0, MAX_DESCRIPTION_LENGTH))}
+            placeholder={tr('jobs.problemPlaceholder')}
+            rows={4}
+            className={`mt-1 w-full rounded-lg border px-3 py-2 outline-none focus:ring-2 ${theme.ring}`}
+          />
+        </label>
+
+        <div className="space-y-2 text-sm">
+          <span className="text-gray-700">{tr('jobs.photos', { n: MAX_JOB_PHOTOS })}</span>
+          <div className="flex flex-wrap gap-2">
+            {photos.map((p) => (
+              <div key={p.preview} className="relative">
+                <img src={p.preview} alt="" className="h-16 w-16 rounded-lg border object-cover" />
+                <button
+                  type="button"
+                  onClick={() => removePhoto(p)}
+                  aria-label={tr('jobs.removePhoto')}
+                  className="absolute -top-1.5 -end-1.5 h-5 w-5 rounded-full bg-gray-900 text-[10px] text-surface"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            {photos.length < MAX_JOB_PHOTOS && (
+              <label className="flex h-16 w-16 cursor-pointer items-center justify-center rounded-lg border border-dashed text-xl text-gray-400">
+                +
+                <input type="file" accept="image/*" multiple className="hidden" onChange={(e) => { addPhotos(e.target.files || []); e.target.value = '' }} />
+              </label>
+            )}
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500">{position ? tr('jobs.locationShared') : tr('jobs.noPosition')}</p>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+
+        <button disabled={loading || !position || !description.trim()} className={`w-full py-2 rounded-lg text-white disabled:opacity-60 ${theme.primaryBg} ${theme.primaryBgHover}`}>
+          {loading ? tr('auth.wait') : tr('jobs.send')}
+        </button>
+      </form>
+    </div>
+  )
+}
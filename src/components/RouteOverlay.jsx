@@ -0,0 +1,52 @@
+import { useEffect } from 'react'
+import { Polyline, useMap } from 'react-leaflet'
+import { directionsUrl } from '../lib/leaflet'
+import { formatDistance } from '../lib/geo'
+import { formatDuration } from '../lib/routing'
+import { useI18n } from '../i18n'
+
+// Drawn inside MapContainer; zooms to fit the whole route once it arrives. The stroke
+// class beats Leaflet's stroke attribute, so the line follows the theme tokens.
+export function RouteLine({ route }) {
+  const map = useMap()
+  useEffect(() => {
+    if (route) map.fitBounds(route.coordinates, { padding: [40, 40] })
+  }, [route, map])
+  if (!route) return null
+  return <Polyline positions={route.coordinates} pathOptions={{ className: 'stroke-primary', weight: 5, opacity: 0.85 }} />
+}
+
+// Distance/ETA card over the map, with Google Maps kept as a fallback
+export function RouteCard({ vendor, destination, hasOrigin, state, onClose, theme }) {
+  const { tr } = useI18n()
+  const { route, loading, error } = state
+  return (
+    <div className="absolute z-[1000] top-3 inset-x-3 sm:inset-x-auto sm:end-3 sm:w-80 rounded-2xl bg-surface shadow-xl p-3 space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="min-w-0">
+          <div className="text-xs text-gray-500">{tr('route.to')}</div>
+          <div className="font-semibold text-sm text-gray-900 truncate">{vendor.name}</div>
+        </div>
+        <button onClick={onClose} className="ms-auto text-sm text-gray-500 hover:text-gray-700">{tr('list.close')}</button>
+      </div>
+
+      {!hasOrigin && <p className="text-sm text-gray-500">{tr('route.noPosition')}</p>}
+      {loading && <p className="text-sm text-gray-500">{tr('route.loading')}</p>}
+      {error && <p className="text-sm text-red-600">{tr('route.failed')}</p>}
+      {route && (
+        <div className="flex items-baseline gap-3">
+          <span className={`text-lg font-bold ${theme.primaryText}`}>{formatDuration(route.durationMin, tr)}</span>
+          <span className="text-sm text-gray-600">{formatDistance(route.distanceKm)}</span>
+        </div>
+      )}
+
+      <a
+        href={directionsUrl(destination)}
+        target="_blank" rel="noreferrer"
+        className="block text-xs text-gray-500 underline"
+      >
+        {tr('route.openGoogle')}
+      </a>
+    </div>
+  )
+}
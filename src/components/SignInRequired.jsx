@@ -0,0 +1,16 @@
+import { Link } from 'react-router-dom'
+import { useI18n } from '../i18n'
+
+// Shown by pages that need a madad_token when there is none
+export default function SignInRequired({ title, message, theme }) {
+  const { tr } = useI18n()
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 bg-gray-50">
+      <div className="w-full max-w-md bg-surface rounded-2xl shadow-xl p-6 space-y-4 text-center">
+        <div className={`text-xl font-bold ${theme.primaryText}`}>{title}</div>
+        <p className="text-sm text-gray-600">{message}</p>
+        <Link to="/" className={`inline-block px-4 py-2 rounded-lg text-white ${theme.primaryBg} ${theme.primaryBgHover}`}>{tr('addVendor.backToMap')}</Link>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import { useEffect, useState } from 'react'
+import { vendorLatLng } from '../lib/leaflet'
+import { distanceKm, formatDistance } from '../lib/geo'
+import { fetchNearbyVendors } from '../lib/vendors'
+import { nearbyKey, loadNearby } from '../lib/offlineCache'
+import { trackVendorEvent } from '../lib/track'
+import { useI18n } from '../i18n'
+
+const SOS_SERVICES = ['medical', 'tow_truck']
+const EMERGENCY_NUMBERS = [
+  { number: '1122', key: 'sos.rescue' },
+  { number: '15', key: 'sos.police' }
+]
+
+function currentPosition(fallback) {
+  return new Promise((resolve) => {
+    if (!navigator.geolocation) return resolve(fallback)
+    navigator.geolocation.getCurrentPosition(
+      (pos) => resolve([pos.coords.latitude, pos.coords.longitude]),
+      () => resolve(fallback),
+      { enableHighAccuracy: true, timeout: 8000, maximumAge: 30000 }
+    )
+  })
+}
+
+// Offline: a cached search for this service, else the unfiltered map cache narrowed to it
+async function cachedOf(position, serviceType) {
+  const cached = await loadNearby(nearbyKey(position, serviceType), serviceType)
+  if (cached?.vendors.length) return cached.vendors
+  const all = await loadNearby(nearbyKey(position, ''), '')
+  return all ? all.vendors.filter((v) => v.service_type === serviceType) : []
+}
+
+// Nearest few of one service; falls back to the offline cache when there is no signal
+async function nearestOf(position, serviceType) {
+  let vendors
+  try {
+    ({ vendors } = await fetchNearbyVendors({ position, serviceType, radiusKm: 5 }))
+  } catch {
+    vendors = await cachedOf(position, serviceType)
+  }
+  return vendors
+    .map((v) => ({ ...v, distance_km: distanceKm(position, vendorLatLng(v)) }))
+    .sort((a, b) => a.distance_km - b.distance_km)
+    .slice(0, 3)
+}
+
+export default function SosPanel({ fallbackPosition, onClose }) {
+  const { tr, serviceName } = useI18n()
+  const [position, setPosition] = useState(null)
+  const [nearest, setNearest] = useState({})
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+    const run = async () => {
+      const here = await currentPosition(fallbackPosition)
+      if (cancelled) return
+      setPosition(here)
+      if (!here) {
+        setLoading(false)
+        return
+      }
+      const lists = await Promise.all(SOS_SERVICES.map((k) => nearestOf(here, k)))
+      if (cancelled) return
+      setNearest(Object.fromEntries(SOS_SERVICES.map((k, i) => [k, lists[i]])))
+      setLoading(false)
+    }
+    run()
+    return () => { cancelled = true }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  const mapLink = position ? `https://maps.google.com/?q=${position[0].toFixed(6)},${position[1].toFixed(6)}` : ''
+  const message = position ? tr('sos.message', { link: mapLink }) : tr('sos.messageNoLocation')
+
+  const share = async () => {
+    if (navigator.share) {
+      try {
+        await navigator.share({ text: message })
+      } catch {
+        // user dismissed the share sheet
+      }
+    } else {
+      window.open(`https://wa.me/?text=${encodeURIComponent(message)}`, '_blank', 'noreferrer')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[2000] bg-red-600 text-white overflow-y-auto">
+      <div className="mx-auto max-w-md p-4 space-y-4">
+        <div className="flex items-center">
+          <h2 className="text-2xl font-bold">{tr('sos.title')}</h2>
+          <button onClick={onClose} className="ms-auto rounded-lg bg-surface/20 px-3 py-1.5 text-sm">{tr('sos.close')}</button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          {EMERGENCY_NUMBERS.map((e) => (
+            <a key={e.number} href={`tel:${e.number}`} className="rounded-xl bg-surface text-red-700 py-4 text-center shadow-lg active:scale-95 transition">
+              <div className="text-3xl font-bold">{e.number}</div>
+              <div className="text-xs">{tr(e.key)}</div>
+            </a>
+          ))}
+        </div>
+
+        {SOS_SERVICES.map((k) => (
+          <section key={k} className="rounded-xl bg-surface text-gray-900 p-3 space-y-2">
+            <h3 className="font-semibold">{tr('sos.nearest', { service: serviceName(k) })}</h3>
+            {loading && <p className="text-sm text-gray-500">{tr('sos.searching')}</p>}
+            {!loading && !nearest[k]?.length && <p className="text-sm text-gray-500">{tr('sos.none')}</p>}
+            {nearest[k]?.map((v) => (
+              <div key={v.id} className="flex items-center gap-2">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium truncate">{v.name}</div>
+                  <div className="text-xs text-gray-500">{formatDistance(v.distance_km)}</div>
+                </div>
+                {v.phone && (
+                  <a href={`tel:${v.phone}`} onClick={() => trackVendorEvent(v.id, 'call')} className="ms-auto shrink-0 rounded-lg bg-red-600 px-3 py-2 text-sm text-white">
+                    {tr('vendor.callNow')}
+                  </a>
+                )}
+              </div>
+            ))}
+          </section>
+        ))}
+
+        <section className="rounded-xl bg-surface text-gray-900 p-3 space-y-2">
+          <h3 className="font-semibold">{tr('sos.shareTitle')}</h3>
+          <p className="text-sm text-gray-700 break-words">{message}</p>
+          <div className="grid grid-cols-2 gap-2">
+            <button onClick={share} className="rounded-lg bg-gray-900 py-2 text-sm text-surface">{tr('sos.share')}</button>
+            <a href={`sms:?&body=${encodeURIComponent(message)}`} className="rounded-lg border py-2 text-center text-sm">{tr('sos.sms')}</a>
+          </div>
+        </section>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+// Read-only star bar plus "4.3 (12)"; pass onChange to make it a 1–5 picker
+export default function Stars({ value = 0, count, onChange, size = 'text-sm' }) {
+  const rounded = Math.round(value)
+  return (
+    <span className={`inline-flex items-center gap-1 ${size}`} dir="ltr">
+      <span className="inline-flex">
+        {[1, 2, 3, 4, 5].map((n) => (
+          onChange ? (
+            <button
+              key={n}
+              type="button"
+              onClick={() => onChange(n)}
+              aria-label={`${n}`}
+              className={`px-0.5 ${n <= rounded ? 'text-amber-500' : 'text-gray-300'}`}
+            >
+              ★
+            </button>
+          ) : (
+            <span key={n} className={n <= rounded ? 'text-amber-500' : 'text-gray-300'}>★</span>
+          )
+        ))}
+      </span>
+      {count != null && (
+        <span className="text-xs text-gray-500">{count ? `${value.toFixed(1)} (${count})` : '—'}</span>
+      )}
+    </span>
+  )
+}
@@ -0,0 +1,14 @@
+export default function TextInput({ label, type = 'text', value, onChange, placeholder, ringClass }) {
+  return (
+    <label className="block text-sm">
+      <span className="text-gray-700">{label}</span>
+      <input
+        type={type}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        className={`mt-1 w-full rounded-lg border px-3 py-2 outline-none focus:ring-2 ${ringClass}`}
+      />
+    </label>
+  )
+}
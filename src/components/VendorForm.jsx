@@ -0,0 +1,139 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { MapContainer, Marker, useMap, useMapEvents } from 'react-leaflet'
+import { DEFAULT_CENTER, vendorLatLng } from '../lib/leaflet'
+import { serviceKeys } from '../lib/services'
+import { defaultHours } from '../lib/hours'
+import { errorMessage } from '../lib/api'
+import { useI18n } from '../i18n'
+import TextInput from './TextInput'
+import HoursEditor from './HoursEditor'
+import BaseTiles from './BaseTiles'
+
+function DraggablePin({ position, onChange }) {
+  const markerRef = useRef(null)
+  // Tapping the map moves the pin too, which is easier than dragging on phones
+  useMapEvents({
+    click: (e) => onChange([e.latlng.lat, e.latlng.lng])
+  })
+  const handlers = useMemo(() => ({
+    dragend() {
+      const m = markerRef.current
+      if (m) {
+        const { lat, lng } = m.getLatLng()
+        onChange([lat, lng])
+      }
+    }
+  }), [onChange])
+  return <Marker draggable position={position} ref={markerRef} eventHandlers={handlers} />
+}
+
+function PanTo({ target }) {
+  const map = useMap()
+  useEffect(() => {
+    if (target) map.setView(target, 16)
+  }, [target, map])
+  return null
+}
+
+// Vendor details, location pin and (optionally) opening hours. Used to create and edit listings;
+// onSubmit gets the API payload and may throw to show an error.
+export default function VendorForm({ vendor, withHours = false, submitLabel, onSubmit, failedKey = 'addVendor.failed', theme }) {
+  const { tr, serviceName } = useI18n()
+  const [name, setName] = useState(vendor?.name || '')
+  const [serviceType, setServiceType] = useState(vendor?.service_type || serviceKeys[0])
+  const [phone, setPhone] = useState(vendor?.phone || '')
+  const [address, setAddress] = useState(vendor?.address || '')
+  const [pin, setPin] = useState(() => (vendor ? vendorLatLng(vendor) : DEFAULT_CENTER))
+  const [hours, setHours] = useState(() => vendor?.hours || defaultHours())
+  const [located, setLocated] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const canSubmit = name.trim() && serviceType && pin
+
+  // New listings start the pin at the user's location when we can get it
+  useEffect(() => {
+    if (vendor || !navigator.geolocation) return
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        const here = [pos.coords.latitude, pos.coords.longitude]
+        setPin(here)
+        setLocated(here)
+      },
+      () => {},
+      { enableHighAccuracy: true }
+    )
+  }, [vendor])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!canSubmit) return
+    setLoading(true)
+    setError('')
+    try {
+      await onSubmit({
+        name: name.trim(),
+        service_type: serviceType,
+        phone: phone || undefined,
+        address: address || undefined,
+        // GeoJSON points are [lng, lat]
+        location: { type: 'Point', coordinates: [pin[1], pin[0]] },
+        ...(withHours ? { hours } : {})
+      })
+    } catch (e) {
+      setError(errorMessage(e, tr, failedKey))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <form className="space-y-3" onSubmit={handleSubmit}>
+      <TextInput label={tr('addVendor.name')} value={name} onChange={setName} placeholder={tr('addVendor.namePlaceholder')} ringClass={theme.ring} />
+
+      <label className="block text-sm">
+        <span className="text-gray-700">{tr('addVendor.service')}</span>
+        <select
+          value={serviceType}
+          onChange={(e) => setServiceType(e.target.value)}
+          className={`mt-1 w-full rounded-lg border px-3 py-2 bg-surface outline-none focus:ring-2 ${theme.ring}`}
+        >
+          {serviceKeys.map((k) => (
+            <option key={k} value={k}>{serviceName(k)}</option>
+          ))}
+        </select>
+      </label>
+
+      <TextInput label={tr('addVendor.phone')} value={phone} onChange={setPhone} placeholder="03xx-xxxxxxx" ringClass={theme.ring} />
+      <TextInput label={tr('addVendor.address')} value={address} onChange={setAddress} placeholder={tr('addVendor.addressPlaceholder')} ringClass={theme.ring} />
+
+      <div className="text-sm">
+        <span className="text-gray-700">{tr('addVendor.location')}</span>
+        <p className="text-[11px] text-gray-500">{tr('addVendor.locationHint')}</p>
+        <div className="mt-1 h-64 rounded-lg overflow-hidden border">
+          <MapContainer center={pin} zoom={15} style={{ height: '100%', width: '100%' }}>
+            <BaseTiles />
+            <PanTo target={located} />
+            <DraggablePin position={pin} onChange={setPin} />
+          </MapContainer>
+        </div>
+        <p className="mt-1 text-[11px] text-gray-500" dir="ltr">{pin[0].toFixed(5)}, {pin[1].toFixed(5)}</p>
+      </div>
+
+      {withHours && (
+        <div className="text-sm">
+          <span className="text-gray-700">{tr('hours.title')}</span>
+          <div className="mt-1">
+            <HoursEditor hours={hours} onChange={setHours} />
+          </div>
+        </div>
+      )}
+
+      {error && <div className="text-sm text-red-600">{error}</div>}
+
+      <button disabled={!canSubmit || loading} className={`w-full py-2.5 rounded-lg text-white disabled:opacity-60 ${theme.primaryBg} ${theme.primaryBgHover}`}>
+        {loading ? tr('auth.wait') : submitLabel}
+      </button>
+    </form>
+  )
+}
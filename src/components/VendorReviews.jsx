@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react'
+import Stars from './Stars'
+import { accessToken } from '../lib/session'
+import { errorMessage } from '../lib/api'
+import { fetchReviews, postReview, reportReview } from '../lib/vendors'
+import { useI18n } from '../i18n'
+
+const MAX_REVIEW_LENGTH = 500
+
+export default function VendorReviews({ vendorId, theme, onRated }) {
+  const { tr } = useI18n()
+  const [token] = useState(accessToken)
+  const [reviews, setReviews] = useState([])
+  const [rating, setRating] = useState(0)
+  const [comment, setComment] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [reported, setReported] = useState({})
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setReviews(await fetchReviews(vendorId))
+      } catch {
+        // reviews are secondary; the page still works without them
+      }
+    }
+    load()
+  }, [vendorId])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!rating) return
+    setLoading(true)
+    setError('')
+    try {
+      const data = await postReview(vendorId, { rating, comment: comment.trim() || undefined })
+      // One review per user: the backend replaces an earlier one
+      if (data.review) setReviews((list) => [data.review, ...list.filter((r) => r.id !== data.review.id && r.user_id !== data.review.user_id)])
+      if (data.rating_avg != null) onRated?.({ rating_avg: data.rating_avg, rating_count: data.rating_count })
+      setRating(0)
+      setComment('')
+    } catch (e) {
+      setError(errorMessage(e, tr, 'reviews.failed'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Sends the review to the admin moderation queue
+  const report = async (reviewId) => {
+    try {
+      await reportReview(reviewId)
+      setReported((m) => ({ ...m, [reviewId]: true }))
+    } catch {
+      // ignore; the user can try again
+    }
+  }
+
+  return (
+    <section className="space-y-3 pt-2 border-t">
+      <h2 className="font-semibold text-gray-900">{tr('reviews.title')}</h2>
+
+      {token ? (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <Stars value={rating} onChange={setRating} size="text-2xl" />
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value.slice(0, MAX_REVIEW_LENGTH))}
+            placeholder={tr('reviews.placeholder')}
+            rows={3}
+            className={`w-full rounded-lg border px-3 py-2 text-sm outline-none focus:ring-2 ${theme.ring}`}
+          />
+          {error && <div className="text-sm text-red-600">{error}</div>}
+          <button disabled={!rating || loading} className={`w-full py-2 rounded-lg text-white text-sm disabled:opacity-60 ${theme.primaryBg} ${theme.primaryBgHover}`}>
+            {loading ? tr('auth.wait') : tr('reviews.submit')}
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-500">{tr('reviews.signIn')}</p>
+      )}
+
+      {reviews.length === 0 ? (
+        <p className="text-sm text-gray-500">{tr('reviews.none')}</p>
+      ) : (
+        <ul className="space-y-3">
+          {reviews.map((r) => (
+            <li key={r.id} className="text-sm">
+              <div className="flex items-center gap-2">
+                <Stars value={r.rating} size="text-xs" />
+                <span className="font-medium text-gray-800">{r.user_name || tr('reviews.anonymous')}</span>
+                {r.created_at && <span className="ms-auto text-xs text-gray-400">{new Date(r.created_at).toLocaleDateString()}</span>}
+              </div>
+              {r.comment && <p className="text-gray-700 pt-0.5">{r.comment}</p>}
+              {token && (
+                <button
+                  onClick={() => report(r.id)}
+                  disabled={reported[r.id]}
+                  className="text-[11px] text-gray-400 hover:text-gray-600 disabled:hover:text-gray-400"
+                >
+                  {reported[r.id] ? tr('reviews.reported') : tr('reviews.report')}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
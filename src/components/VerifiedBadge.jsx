@@ -0,0 +1,12 @@
+import { useI18n } from '../i18n'
+
+// Vendors with an active (approved, unexpired) subscription; the backend sets `verified`
+export default function VerifiedBadge({ vendor }) {
+  const { tr } = useI18n()
+  if (!vendor.verified) return null
+  return (
+    <span className="inline-flex items-center gap-0.5 rounded-full bg-blue-50 px-1.5 py-0.5 text-[10px] font-medium text-blue-700">
+      ✓ {tr('vendor.verified')}
+    </span>
+  )
+}
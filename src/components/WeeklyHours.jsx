@@ -0,0 +1,28 @@
+import { DAYS, isAllDay, formatTime } from '../lib/hours'
+import { useI18n } from '../i18n'
+
+export default function WeeklyHours({ hours }) {
+  const { tr } = useI18n()
+  if (!hours) return null
+  return (
+    <table className="text-sm">
+      <tbody>
+        {DAYS.map((day) => {
+          const intervals = hours[day] || []
+          return (
+            <tr key={day}>
+              <td className="pe-4 py-0.5 text-gray-500">{tr(`hours.day.${day}`)}</td>
+              <td className="py-0.5 text-gray-800">
+                {!intervals.length
+                  ? tr('hours.closed')
+                  : isAllDay(intervals)
+                    ? tr('hours.allDay')
+                    : intervals.map((i) => `${formatTime(i.open, tr)} – ${formatTime(i.close, tr)}`).join(', ')}
+              </td>
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  )
+}
@@ -0,0 +1,371 @@
+export default {
+  'app.name': 'Madad',
+  'app.tagline': 'Pakistan’s map for help — tow, mechanic, hotel, medical and more',
+  'app.footer': 'Karachi default if location not granted.',
+
+  'service.all': 'All',
+  'service.tow_truck': 'Tow Truck',
+  'service.mechanic': 'Mechanic',
+  'service.hotel': 'Hotel',
+  'service.medical': 'Medical',
+  'service.car_wash': 'Car Wash',
+  'service.electrician': 'Electrician',
+  'service.plumber': 'Plumber',
+
+  'header.signedIn': 'Signed in',
+  'header.signedInAs': 'Signed in as {name}',
+  'header.guest': 'Guest mode — sign in to add vendors',
+  'header.refresh': 'Refresh',
+  'header.loading': 'Loading…',
+  'header.addVendor': 'Add vendor',
+  'header.logout': 'Logout',
+  'header.signIn': 'Sign in',
+  'header.pickOnMap': 'Tap the map to set your location',
+  'header.menu': 'Menu',
+
+  'radius.within': 'Within',
+  'radius.km': '{km} km',
+  'radius.widened': '(widened to {km} km)',
+
+  'search.placeholder': 'Search city, area or paste lat, lng',
+  'search.goTo': 'Go to {coords}',
+  'search.searching': 'Searching…',
+  'search.none': 'No places found',
+  'search.unavailable': 'Place search unavailable',
+
+  'map.youAreHere': 'You are here',
+  'map.locationDenied': 'Location permission denied — search for your area or long-press the map',
+  'map.loadFailed': 'Could not load nearby vendors',
+  'map.offline': 'You are offline',
+  'map.serverDown': 'Could not reach the server',
+  'map.zoomIn': 'Zoom in to load vendors in this area',
+  'map.savedVendors': '— showing saved vendors, last updated {time}',
+
+  'vendor.callNow': 'Call Now',
+  'vendor.directions': 'Get Directions',
+  'vendor.details': 'View details',
+  'vendor.getVerified': 'Own this business? Get verified',
+  'vendor.verified': 'Verified',
+  'vendor.availableNow': 'Available now',
+
+  'list.count': '{n} nearby',
+  'list.close': 'Close',
+  'list.empty': 'No vendors found in this area.',
+
+  'auth.login': 'Login',
+  'auth.register': 'Register',
+  'auth.fullName': 'Full Name',
+  'auth.fullNamePlaceholder': 'e.g. Ali Raza',
+  'auth.phone': 'Phone (preferred)',
+  'auth.email': 'Email (optional)',
+  'auth.password': 'Password',
+  'auth.passwordPlaceholder': 'At least 6 characters',
+  'auth.failed': 'Authentication failed',
+  'auth.wait': 'Please wait…',
+  'auth.createAccount': 'Create account',
+  'auth.signIn': 'Sign in',
+  'auth.or': 'or',
+  'auth.continueWith': 'Continue with {provider}',
+  'auth.guest': 'Continue as Guest',
+  'auth.guestNote': 'Guest can browse the map. Sign in to add vendors and manage subscriptions.',
+  'auth.paymentsNote': 'Payments: vendors get verified by bank transfer. No card or API required.',
+  'auth.usePassword': 'Use password instead',
+  'auth.useOtp': 'Use SMS code instead',
+  'auth.forgot': 'Forgot password?',
+
+  'addVendor.title': 'Add a vendor',
+  'addVendor.signInFirst': 'Please sign in to add vendors to the map.',
+  'addVendor.backToMap': 'Back to map',
+  'addVendor.cancel': 'Cancel',
+  'addVendor.name': 'Business name',
+  'addVendor.namePlaceholder': 'e.g. Bilal Auto Works',
+  'addVendor.service': 'Service',
+  'addVendor.phone': 'Phone',
+  'addVendor.address': 'Address',
+  'addVendor.addressPlaceholder': 'Street, area, city',
+  'addVendor.location': 'Location',
+  'addVendor.locationHint': 'Drag the pin or tap the map to place it.',
+  'addVendor.failed': 'Could not add vendor',
+  'addVendor.submit': 'Add vendor',
+
+  'detail.notFound': 'This vendor could not be found',
+  'detail.loadFailed': 'Could not load vendor',
+  'detail.loading': 'Loading…',
+  'detail.address': 'Address:',
+  'detail.phone': 'Phone:',
+  'detail.noPhone': 'No phone',
+  'detail.share': 'Share this vendor',
+  'detail.copied': 'Link copied',
+
+  'sos.title': 'Emergency',
+  'sos.close': 'Close',
+  'sos.rescue': 'Rescue / Ambulance',
+  'sos.police': 'Police',
+  'sos.nearest': 'Nearest {service}',
+  'sos.searching': 'Finding help near you…',
+  'sos.none': 'None found nearby',
+  'sos.shareTitle': 'Tell someone where you are',
+  'sos.message': 'I need help. My location: {link}',
+  'sos.messageNoLocation': 'I need help. I could not get my location.',
+  'sos.share': 'Share',
+  'sos.sms': 'SMS',
+
+  'reviews.title': 'Ratings & reviews',
+  'reviews.placeholder': 'How was the service? (optional)',
+  'reviews.submit': 'Submit review',
+  'reviews.failed': 'Could not save review',
+  'reviews.signIn': 'Sign in to rate this vendor.',
+  'reviews.none': 'No reviews yet.',
+  'reviews.anonymous': 'Madad user',
+  'reviews.report': 'Report',
+  'reviews.reported': 'Reported',
+
+  'sort.label': 'Sort',
+  'sort.distance': 'Nearest',
+  'sort.rating': 'Top rated',
+
+  'subs.title': 'Get verified',
+  'subs.myPayments': 'My payments',
+  'subs.intro': 'Verified vendors get a badge on the map. Choose a plan, pay by bank transfer with your reference code and upload the receipt.',
+  'subs.signInFirst': 'Please sign in to manage your vendor subscription.',
+  'subs.listing': 'Listing',
+  'subs.noListings': 'You have no listings yet.',
+  'subs.plan': 'Plan',
+  'subs.planDays': '{days} days',
+  'subs.continue': 'Get bank details',
+  'subs.loadFailed': 'Could not load subscriptions',
+  'subs.createFailed': 'Could not start subscription',
+  'subs.none': 'No subscriptions yet.',
+  'subs.reference': 'Reference',
+  'subs.amount': 'Amount',
+  'subs.bankName': 'Bank',
+  'subs.accountTitle': 'Account title',
+  'subs.accountNumber': 'Account no.',
+  'subs.iban': 'IBAN',
+  'subs.copy': 'Copy',
+  'subs.referenceHint': 'Write the reference code in the transfer remarks so we can match your payment.',
+  'subs.proofLabel': 'Payment receipt (photo or screenshot)',
+  'subs.proofSubmit': 'Upload receipt',
+  'subs.proofFailed': 'Could not upload receipt',
+  'subs.proofNotImage': 'Please choose an image file',
+  'subs.proofTooLarge': 'Receipt must be under 5 MB',
+  'subs.activeUntil': 'Active until {date}',
+  'subs.pendingNote': 'Receipt received. We usually review payments within one working day.',
+  'subs.rejectedNote': 'The receipt could not be verified. Please upload it again.',
+  'subs.renew': 'Renew',
+  'subs.status.awaiting_payment': 'Awaiting payment',
+  'subs.status.pending': 'Pending review',
+  'subs.status.approved': 'Approved',
+  'subs.status.rejected': 'Rejected',
+  'subs.status.expired': 'Expired',
+
+  'admin.title': 'Moderation',
+  'admin.signInFirst': 'Please sign in with an admin account.',
+  'admin.forbidden': 'This page is only available to administrators.',
+  'admin.tab.listings': 'Listings',
+  'admin.tab.payments': 'Payments',
+  'admin.tab.reviews': 'Reviews',
+  'admin.tab.audit': 'Audit log',
+  'admin.approve': 'Approve',
+  'admin.reject': 'Reject',
+  'admin.keep': 'Keep',
+  'admin.remove': 'Remove',
+  'admin.edit': 'Edit',
+  'admin.save': 'Save',
+  'admin.rejectReason': 'Reason (shown to the user, optional)',
+  'admin.receipt': 'Payment receipt',
+  'admin.reports': '{n} reports',
+  'admin.queueEmpty': 'Nothing waiting for review.',
+  'admin.auditEmpty': 'No actions recorded yet.',
+  'admin.loadFailed': 'Could not load the queue',
+  'admin.actionFailed': 'Action failed',
+  'admin.when': 'When',
+  'admin.who': 'Admin',
+  'admin.action': 'Action',
+  'admin.target': 'Target',
+
+  'mine.title': 'My listings',
+  'mine.signInFirst': 'Please sign in to manage your listings.',
+  'mine.loadFailed': 'Could not load your listings',
+  'mine.saveFailed': 'Could not save changes',
+  'mine.edit': 'Edit details',
+  'mine.availableNow': 'Available now',
+  'mine.availableHint': 'Shown on the map so drivers know you can come out',
+  'mine.stats.calls': 'Call taps',
+  'mine.stats.directions': 'Direction taps',
+  'mine.stats.views': 'Page views',
+
+  'hours.title': 'Opening hours',
+  'hours.openNow': 'Open now',
+  'hours.closedNow': 'Closed',
+  'hours.closesAt': 'Closes at {time}',
+  'hours.closesOn': 'Closes {day} {time}',
+  'hours.opensAt': 'Opens at {time}',
+  'hours.opensOn': 'Opens {day} {time}',
+  'hours.always': 'Open 24 hours',
+  'hours.am': 'am',
+  'hours.pm': 'pm',
+  'hours.open': 'Open',
+  'hours.allDay': '24 hours',
+  'hours.closed': 'Closed',
+  'hours.overnightHint': 'A closing time before the opening time means open past midnight.',
+  'hours.day.mon': 'Mon',
+  'hours.day.tue': 'Tue',
+  'hours.day.wed': 'Wed',
+  'hours.day.thu': 'Thu',
+  'hours.day.fri': 'Fri',
+  'hours.day.sat': 'Sat',
+  'hours.day.sun': 'Sun',
+
+  'route.to': 'Route to',
+  'route.loading': 'Finding the best route…',
+  'route.failed': 'Could not plan a route here.',
+  'route.noPosition': 'Set your location first to see the route.',
+  'route.openGoogle': 'Open in Google Maps instead',
+  'route.minutes': '{n} min',
+  'route.hours': '{h} h',
+  'route.hoursMinutes': '{h} h {m} min',
+
+  'live.start': 'Track my location',
+  'live.stop': 'Stop',
+  'live.tracking': 'Live location on',
+  'live.accuracy': '±{m} m',
+  'live.waiting': 'Waiting for GPS…',
+  'live.unavailable': 'Location is unavailable right now.',
+  'live.share': 'Share live location',
+  'live.shareAgain': 'Share link again',
+  'live.shareText': 'Follow my live location for the next {minutes} minutes: {url}',
+  'live.sharingFor': 'Anyone with the link can follow you for {minutes} minutes, or until you stop.',
+  'live.shareFailed': 'Could not create a share link.',
+  'live.title': 'Live location',
+  'live.titleNamed': '{name}\'s live location',
+  'live.updated': 'Updated {n} min ago',
+  'live.waitingShared': 'Waiting for the first location update…',
+  'live.expired': 'This live location link has ended.',
+  'live.loadFailed': 'Could not load the live location.',
+
+  'jobs.title': 'Help requests',
+  'jobs.request': 'Request help',
+  'jobs.requestTitle': 'Request help',
+  'jobs.sendingTo': 'Your request goes to {name}.',
+  'jobs.service': 'Service',
+  'jobs.broadcastTo': 'Send to',
+  'jobs.nearestN': 'Nearest {n}',
+  'jobs.problem': 'What is the problem?',
+  'jobs.problemPlaceholder': 'e.g. Flat tyre on the motorway, no spare',
+  'jobs.photos': 'Photos (up to {n})',
+  'jobs.removePhoto': 'Remove photo',
+  'jobs.photoTooLarge': 'Each photo must be under 5 MB.',
+  'jobs.locationShared': 'Your current location is sent with the request.',
+  'jobs.noPosition': 'Set your location on the map first.',
+  'jobs.send': 'Send request',
+  'jobs.signInFirst': 'Sign in to send and answer help requests.',
+  'jobs.loadFailed': 'Could not load requests.',
+  'jobs.sendFailed': 'Could not send the request.',
+  'jobs.updateFailed': 'Could not update the request.',
+  'jobs.live': 'Live',
+  'jobs.reconnecting': 'Reconnecting…',
+  'jobs.tab.requester': 'Sent',
+  'jobs.tab.vendor': 'For my listings',
+  'jobs.empty.requester': 'You have not sent any requests yet.',
+  'jobs.empty.vendor': 'No requests for your listings yet.',
+  'jobs.broadcastSent': 'Sent to {n} nearby {service}',
+  'jobs.accept': 'Accept',
+  'jobs.decline': 'Decline',
+  'jobs.cancel': 'Cancel request',
+  'jobs.markDone': 'Mark as done',
+  'jobs.callCustomer': 'Call customer',
+  'jobs.status.pending': 'Waiting',
+  'jobs.status.accepted': 'Accepted',
+  'jobs.status.declined': 'Declined',
+  'jobs.status.cancelled': 'Cancelled',
+  'jobs.status.completed': 'Done',
+
+  'otp.send': 'Send code',
+  'otp.sendFailed': 'Could not send the code. Try again.',
+  'otp.sentTo': 'Enter the 6-digit code sent to {to}.',
+  'otp.devCode': 'Development code: {code}',
+  'otp.code': 'Code',
+  'otp.invalid': 'That code is wrong or has expired.',
+  'otp.resend': 'Resend code',
+  'otp.resendIn': 'Resend in {s}s',
+  'otp.changeNumber': 'Change number',
+
+  'reset.title': 'Reset your password',
+  'reset.hint': 'Enter the phone number or email on your account and we will send a code.',
+  'reset.newPassword': 'New password',
+  'reset.submit': 'Set new password',
+  'reset.failed': 'Could not reset the password.',
+  'reset.back': 'Back to sign in',
+  'reset.done': 'Password changed. Sign in with your new password.',
+
+  'oidc.signingIn': 'Signing you in…',
+  'oidc.cancelled': 'Sign-in was cancelled.',
+  'oidc.invalidState': 'This sign-in link has expired. Please start again.',
+  'oidc.failed': 'Sign-in failed. Please try again.',
+  'oidc.linkTitle': 'Link your account',
+  'oidc.linkHint': 'You already have an account with {account}. Confirm it is yours to sign in with either from now on.',
+  'oidc.link': 'Link and sign in',
+  'oidc.linkFailed': 'Could not link the accounts.',
+
+  'api.offline': 'No connection. Check your internet and try again.',
+
+  'fav.title': 'Saved',
+  'fav.add': 'Add to favorites',
+  'fav.remove': 'Remove from favorites',
+  'fav.places': 'Places',
+  'fav.vendors': 'Favorite vendors',
+  'fav.noPlaces': 'No saved places yet.',
+  'fav.noVendors': 'Tap ☆ on a vendor to keep it here.',
+  'fav.saveHere': 'Save your current location as',
+  'fav.placeName': 'e.g. M-2 Kallar Kahar stop',
+  'fav.needPosition': 'Set your location to save it as a place.',
+  'fav.removePlace': 'Remove place',
+  'fav.preset.home': 'Home',
+  'fav.preset.office': 'Office',
+
+  'corridor.title': 'Along a route',
+  'corridor.from': 'Start',
+  'corridor.to': 'End',
+  'corridor.notSet': 'Not set',
+  'corridor.useMine': 'Use my location',
+  'corridor.pick.from': 'Tap the map to set the start point',
+  'corridor.pick.to': 'Tap the map to set the end point',
+  'corridor.swap': 'Swap',
+  'corridor.buffer': 'Either side',
+  'corridor.hint': 'Pick a start and an end, e.g. two motorway interchanges, to see help along the road between them.',
+  'corridor.searching': 'Searching along the route…',
+  'corridor.failed': 'Could not load vendors along this route.',
+  'corridor.count': '{n} within {km} km of the road',
+  'corridor.position': '{along} along · {off} off the road',
+
+  'appearance.custom': 'Custom',
+  'appearance.mode': 'Colour mode',
+  'appearance.system': 'System',
+  'appearance.light': 'Light',
+  'appearance.dark': 'Dark',
+
+  'diag.title': 'Diagnostics',
+  'diag.running': 'Checking…',
+  'diag.runAgain': 'Run again',
+  'diag.copy': 'Copy report',
+  'diag.copied': 'Copied. Paste it into your support message.',
+  'diag.copyFailed': 'Could not copy. Select the report below instead.',
+  'diag.check.backend': 'Backend',
+  'diag.check.database': 'Database',
+  'diag.check.auth': 'Sign-in (/api/auth/me)',
+  'diag.check.nearby': 'Nearby search',
+  'diag.check.geolocation': 'Location permission',
+  'diag.check.tiles': 'Map tiles',
+  'diag.check.darkTiles': 'Dark map tiles',
+  'diag.check.serviceWorker': 'Offline support (service worker)',
+  'diag.check.caches': 'Offline caches',
+  'diag.notSignedIn': 'Not signed in',
+  'diag.signedInAs': '{name} ({role})',
+  'diag.nearbyFound': '{n} vendors within {km} km of the sample point',
+  'diag.unsupported': 'Not supported by this browser',
+  'diag.permissionUnknown': 'This browser does not report the permission state',
+  'diag.swNone': 'Not registered',
+  'diag.swNotControlling': 'reload to let it control this page',
+  'diag.cacheEmpty': 'Nothing cached yet'
+}
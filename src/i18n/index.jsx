@@ -0,0 +1,48 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import en from './en'
+import ur from './ur'
+
+export const languages = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  ur: { name: 'اردو', dir: 'rtl', messages: ur }
+}
+
+const I18nContext = createContext(null)
+
+function initialLang() {
+  const saved = localStorage.getItem('madad_lang')
+  return saved && languages[saved] ? saved : 'en'
+}
+
+export function I18nProvider({ children }) {
+  const [lang, setLangState] = useState(initialLang)
+  const { dir, messages } = languages[lang]
+
+  // Flip the whole document so flex rows, scrollers and logical insets mirror in Urdu
+  useEffect(() => {
+    document.documentElement.lang = lang
+    document.documentElement.dir = dir
+  }, [lang, dir])
+
+  const setLang = useCallback((k) => {
+    setLangState(k)
+    localStorage.setItem('madad_lang', k)
+  }, [])
+
+  // Missing Urdu strings fall back to English, then to the key itself
+  const tr = useCallback((key, vars) => {
+    const template = messages[key] ?? en[key] ?? key
+    if (!vars) return template
+    return template.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? vars[name] : m))
+  }, [messages])
+
+  // Unknown service types from the backend are shown as-is
+  const serviceName = useCallback((k) => messages[`service.${k}`] ?? en[`service.${k}`] ?? k, [messages])
+
+  const value = useMemo(() => ({ lang, dir, setLang, tr, serviceName }), [lang, dir, setLang, tr, serviceName])
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export function useI18n() {
+  return useContext(I18nContext)
+}
@@ -0,0 +1,371 @@
+export default {
+  'app.name': 'مدد',
+  'app.tagline': 'پاکستان میں مدد کا نقشہ — ٹو، مکینک، ہوٹل، طبی امداد اور بہت کچھ',
+  'app.footer': 'مقام کی اجازت نہ ملنے پر کراچی دکھایا جاتا ہے۔',
+
+  'service.all': 'سب',
+  'service.tow_truck': 'ٹو ٹرک',
+  'service.mechanic': 'مکینک',
+  'service.hotel': 'ہوٹل',
+  'service.medical': 'طبی امداد',
+  'service.car_wash': 'کار واش',
+  'service.electrician': 'الیکٹریشن',
+  'service.plumber': 'پلمبر',
+
+  'header.signedIn': 'سائن اِن ہیں',
+  'header.signedInAs': '{name} کے طور پر سائن اِن',
+  'header.guest': 'مہمان موڈ — وینڈر شامل کرنے کے لیے سائن اِن کریں',
+  'header.refresh': 'تازہ کریں',
+  'header.loading': 'لوڈ ہو رہا ہے…',
+  'header.addVendor': 'وینڈر شامل کریں',
+  'header.logout': 'لاگ آؤٹ',
+  'header.signIn': 'سائن اِن',
+  'header.pickOnMap': 'اپنا مقام منتخب کرنے کے لیے نقشے پر ٹیپ کریں',
+  'header.menu': 'مینو',
+
+  'radius.within': 'فاصلہ',
+  'radius.km': '{km} کلومیٹر',
+  'radius.widened': '({km} کلومیٹر تک بڑھایا گیا)',
+
+  'search.placeholder': 'شہر، علاقہ تلاش کریں یا lat, lng چسپاں کریں',
+  'search.goTo': '{coords} پر جائیں',
+  'search.searching': 'تلاش جاری ہے…',
+  'search.none': 'کوئی جگہ نہیں ملی',
+  'search.unavailable': 'تلاش دستیاب نہیں',
+
+  'map.youAreHere': 'آپ یہاں ہیں',
+  'map.locationDenied': 'مقام کی اجازت نہیں ملی — اپنا علاقہ تلاش کریں یا نقشے کو دبا کر رکھیں',
+  'map.loadFailed': 'قریبی وینڈرز لوڈ نہیں ہو سکے',
+  'map.offline': 'آپ آف لائن ہیں',
+  'map.serverDown': 'سرور سے رابطہ نہیں ہو سکا',
+  'map.zoomIn': 'اس علاقے کے وینڈرز دیکھنے کے لیے زوم اِن کریں',
+  'map.savedVendors': '— محفوظ وینڈرز دکھائے جا رہے ہیں، آخری اپ ڈیٹ {time}',
+
+  'vendor.callNow': 'ابھی کال کریں',
+  'vendor.directions': 'راستہ دیکھیں',
+  'vendor.details': 'تفصیلات دیکھیں',
+  'vendor.getVerified': 'کیا یہ آپ کا کاروبار ہے؟ تصدیق کروائیں',
+  'vendor.verified': 'تصدیق شدہ',
+  'vendor.availableNow': 'ابھی دستیاب',
+
+  'list.count': '{n} قریبی',
+  'list.close': 'بند کریں',
+  'list.empty': 'اس علاقے میں کوئی وینڈر نہیں ملا۔',
+
+  'auth.login': 'لاگ اِن',
+  'auth.register': 'رجسٹر',
+  'auth.fullName': 'پورا نام',
+  'auth.fullNamePlaceholder': 'مثلاً علی رضا',
+  'auth.phone': 'فون (ترجیحی)',
+  'auth.email': 'ای میل (اختیاری)',
+  'auth.password': 'پاس ورڈ',
+  'auth.passwordPlaceholder': 'کم از کم 6 حروف',
+  'auth.failed': 'تصدیق ناکام ہو گئی',
+  'auth.wait': 'براہ کرم انتظار کریں…',
+  'auth.createAccount': 'اکاؤنٹ بنائیں',
+  'auth.signIn': 'سائن اِن',
+  'auth.or': 'یا',
+  'auth.continueWith': '{provider} سے جاری رکھیں',
+  'auth.guest': 'مہمان کے طور پر جاری رکھیں',
+  'auth.guestNote': 'مہمان نقشہ دیکھ سکتے ہیں۔ وینڈر شامل کرنے اور سبسکرپشن کے لیے سائن اِن کریں۔',
+  'auth.paymentsNote': 'ادائیگی: وینڈرز بینک ٹرانسفر سے تصدیق کرواتے ہیں۔ کارڈ یا API کی ضرورت نہیں۔',
+  'auth.usePassword': 'اس کے بجائے پاس ورڈ استعمال کریں',
+  'auth.useOtp': 'اس کے بجائے SMS کوڈ استعمال کریں',
+  'auth.forgot': 'پاس ورڈ بھول گئے؟',
+
+  'addVendor.title': 'وینڈر شامل کریں',
+  'addVendor.signInFirst': 'نقشے پر وینڈر شامل کرنے کے لیے سائن اِن کریں۔',
+  'addVendor.backToMap': 'نقشے پر واپس',
+  'addVendor.cancel': 'منسوخ',
+  'addVendor.name': 'کاروبار کا نام',
+  'addVendor.namePlaceholder': 'مثلاً بلال آٹو ورکس',
+  'addVendor.service': 'سروس',
+  'addVendor.phone': 'فون',
+  'addVendor.address': 'پتہ',
+  'addVendor.addressPlaceholder': 'گلی، علاقہ، شہر',
+  'addVendor.location': 'مقام',
+  'addVendor.locationHint': 'پن کو گھسیٹیں یا نقشے پر ٹیپ کریں۔',
+  'addVendor.failed': 'وینڈر شامل نہیں ہو سکا',
+  'addVendor.submit': 'وینڈر شامل کریں',
+
+  'detail.notFound': 'یہ وینڈر نہیں ملا',
+  'detail.loadFailed': 'وینڈر لوڈ نہیں ہو سکا',
+  'detail.loading': 'لوڈ ہو رہا ہے…',
+  'detail.address': 'پتہ:',
+  'detail.phone': 'فون:',
+  'detail.noPhone': 'فون دستیاب نہیں',
+  'detail.share': 'یہ وینڈر شیئر کریں',
+  'detail.copied': 'لنک کاپی ہو گیا',
+
+  'sos.title': 'ایمرجنسی',
+  'sos.close': 'بند کریں',
+  'sos.rescue': 'ریسکیو / ایمبولینس',
+  'sos.police': 'پولیس',
+  'sos.nearest': 'قریب ترین {service}',
+  'sos.searching': 'آپ کے قریب مدد تلاش کی جا رہی ہے…',
+  'sos.none': 'قریب کوئی نہیں ملا',
+  'sos.shareTitle': 'کسی کو اپنا مقام بتائیں',
+  'sos.message': 'مجھے مدد چاہیے۔ میرا مقام: {link}',
+  'sos.messageNoLocation': 'مجھے مدد چاہیے۔ میرا مقام معلوم نہیں ہو سکا۔',
+  'sos.share': 'شیئر کریں',
+  'sos.sms': 'ایس ایم ایس',
+
+  'reviews.title': 'ریٹنگ اور تبصرے',
+  'reviews.placeholder': 'سروس کیسی رہی؟ (اختیاری)',
+  'reviews.submit': 'تبصرہ بھیجیں',
+  'reviews.failed': 'تبصرہ محفوظ نہیں ہو سکا',
+  'reviews.signIn': 'ریٹنگ دینے کے لیے سائن اِن کریں۔',
+  'reviews.none': 'ابھی کوئی تبصرہ نہیں۔',
+  'reviews.anonymous': 'مدد صارف',
+  'reviews.report': 'رپورٹ کریں',
+  'reviews.reported': 'رپورٹ ہو گیا',
+
+  'sort.label': 'ترتیب',
+  'sort.distance': 'قریب ترین',
+  'sort.rating': 'بہترین ریٹنگ',
+
+  'subs.title': 'تصدیق کروائیں',
+  'subs.myPayments': 'میری ادائیگیاں',
+  'subs.intro': 'تصدیق شدہ وینڈرز کو نقشے پر بیج ملتا ہے۔ پلان منتخب کریں، ریفرنس کوڈ کے ساتھ بینک ٹرانسفر کریں اور رسید اپ لوڈ کریں۔',
+  'subs.signInFirst': 'سبسکرپشن کے لیے سائن اِن کریں۔',
+  'subs.listing': 'لسٹنگ',
+  'subs.noListings': 'آپ کی کوئی لسٹنگ نہیں ہے۔',
+  'subs.plan': 'پلان',
+  'subs.planDays': '{days} دن',
+  'subs.continue': 'بینک کی تفصیلات حاصل کریں',
+  'subs.loadFailed': 'سبسکرپشنز لوڈ نہیں ہو سکیں',
+  'subs.createFailed': 'سبسکرپشن شروع نہیں ہو سکی',
+  'subs.none': 'ابھی کوئی سبسکرپشن نہیں۔',
+  'subs.reference': 'ریفرنس',
+  'subs.amount': 'رقم',
+  'subs.bankName': 'بینک',
+  'subs.accountTitle': 'اکاؤنٹ ٹائٹل',
+  'subs.accountNumber': 'اکاؤنٹ نمبر',
+  'subs.iban': 'IBAN',
+  'subs.copy': 'کاپی',
+  'subs.referenceHint': 'ٹرانسفر کے ریمارکس میں ریفرنس کوڈ لکھیں تاکہ ہم آپ کی ادائیگی پہچان سکیں۔',
+  'subs.proofLabel': 'ادائیگی کی رسید (تصویر یا اسکرین شاٹ)',
+  'subs.proofSubmit': 'رسید اپ لوڈ کریں',
+  'subs.proofFailed': 'رسید اپ لوڈ نہیں ہو سکی',
+  'subs.proofNotImage': 'براہ کرم تصویر منتخب کریں',
+  'subs.proofTooLarge': 'رسید 5 MB سے کم ہونی چاہیے',
+  'subs.activeUntil': '{date} تک فعال',
+  'subs.pendingNote': 'رسید موصول ہو گئی۔ ہم عموماً ایک کاروباری دن میں جائزہ لیتے ہیں۔',
+  'subs.rejectedNote': 'رسید کی تصدیق نہیں ہو سکی۔ براہ کرم دوبارہ اپ لوڈ کریں۔',
+  'subs.renew': 'تجدید کریں',
+  'subs.status.awaiting_payment': 'ادائیگی کا انتظار',
+  'subs.status.pending': 'زیرِ جائزہ',
+  'subs.status.approved': 'منظور',
+  'subs.status.rejected': 'مسترد',
+  'subs.status.expired': 'میعاد ختم',
+
+  'admin.title': 'نگرانی',
+  'admin.signInFirst': 'ایڈمن اکاؤنٹ سے سائن اِن کریں۔',
+  'admin.forbidden': 'یہ صفحہ صرف منتظمین کے لیے ہے۔',
+  'admin.tab.listings': 'لسٹنگز',
+  'admin.tab.payments': 'ادائیگیاں',
+  'admin.tab.reviews': 'تبصرے',
+  'admin.tab.audit': 'آڈٹ لاگ',
+  'admin.approve': 'منظور',
+  'admin.reject': 'مسترد',
+  'admin.keep': 'رکھیں',
+  'admin.remove': 'ہٹائیں',
+  'admin.edit': 'ترمیم',
+  'admin.save': 'محفوظ کریں',
+  'admin.rejectReason': 'وجہ (صارف کو دکھائی جائے گی، اختیاری)',
+  'admin.receipt': 'ادائیگی کی رسید',
+  'admin.reports': '{n} رپورٹس',
+  'admin.queueEmpty': 'جائزے کے لیے کچھ نہیں۔',
+  'admin.auditEmpty': 'ابھی کوئی کارروائی درج نہیں۔',
+  'admin.loadFailed': 'قطار لوڈ نہیں ہو سکی',
+  'admin.actionFailed': 'کارروائی ناکام ہو گئی',
+  'admin.when': 'وقت',
+  'admin.who': 'ایڈمن',
+  'admin.action': 'کارروائی',
+  'admin.target': 'ہدف',
+
+  'mine.title': 'میری لسٹنگز',
+  'mine.signInFirst': 'اپنی لسٹنگز کے لیے سائن اِن کریں۔',
+  'mine.loadFailed': 'آپ کی لسٹنگز لوڈ نہیں ہو سکیں',
+  'mine.saveFailed': 'تبدیلیاں محفوظ نہیں ہو سکیں',
+  'mine.edit': 'تفصیلات میں ترمیم',
+  'mine.availableNow': 'ابھی دستیاب',
+  'mine.availableHint': 'نقشے پر دکھایا جاتا ہے تاکہ ڈرائیور جان سکیں کہ آپ آ سکتے ہیں',
+  'mine.stats.calls': 'کال ٹیپس',
+  'mine.stats.directions': 'راستہ ٹیپس',
+  'mine.stats.views': 'صفحہ ویوز',
+
+  'hours.title': 'اوقاتِ کار',
+  'hours.openNow': 'ابھی کھلا ہے',
+  'hours.closedNow': 'بند ہے',
+  'hours.closesAt': '{time} بند ہو گا',
+  'hours.closesOn': '{day} {time} بند ہو گا',
+  'hours.opensAt': '{time} کھلے گا',
+  'hours.opensOn': '{day} {time} کھلے گا',
+  'hours.always': '24 گھنٹے کھلا',
+  'hours.am': 'صبح',
+  'hours.pm': 'شام',
+  'hours.open': 'کھلا',
+  'hours.allDay': '24 گھنٹے',
+  'hours.closed': 'بند',
+  'hours.overnightHint': 'اگر بند ہونے کا وقت کھلنے سے پہلے ہو تو مطلب آدھی رات کے بعد تک کھلا ہے۔',
+  'hours.day.mon': 'پیر',
+  'hours.day.tue': 'منگل',
+  'hours.day.wed': 'بدھ',
+  'hours.day.thu': 'جمعرات',
+  'hours.day.fri': 'جمعہ',
+  'hours.day.sat': 'ہفتہ',
+  'hours.day.sun': 'اتوار',
+
+  'route.to': 'راستہ برائے',
+  'route.loading': 'بہترین راستہ تلاش ہو رہا ہے…',
+  'route.failed': 'یہاں راستہ نہیں بن سکا۔',
+  'route.noPosition': 'راستہ دیکھنے کے لیے پہلے اپنا مقام سیٹ کریں۔',
+  'route.openGoogle': 'اس کے بجائے گوگل میپس میں کھولیں',
+  'route.minutes': '{n} منٹ',
+  'route.hours': '{h} گھنٹے',
+  'route.hoursMinutes': '{h} گھنٹے {m} منٹ',
+
+  'live.start': 'میرا مقام ٹریک کریں',
+  'live.stop': 'بند کریں',
+  'live.tracking': 'لائیو مقام آن ہے',
+  'live.accuracy': '±{m} میٹر',
+  'live.waiting': 'جی پی ایس کا انتظار…',
+  'live.unavailable': 'اس وقت مقام دستیاب نہیں۔',
+  'live.share': 'لائیو مقام شیئر کریں',
+  'live.shareAgain': 'لنک دوبارہ شیئر کریں',
+  'live.shareText': 'اگلے {minutes} منٹ میرا لائیو مقام دیکھیں: {url}',
+  'live.sharingFor': 'لنک والا کوئی بھی {minutes} منٹ تک یا آپ کے بند کرنے تک آپ کو دیکھ سکتا ہے۔',
+  'live.shareFailed': 'شیئر لنک نہیں بن سکا۔',
+  'live.title': 'لائیو مقام',
+  'live.titleNamed': '{name} کا لائیو مقام',
+  'live.updated': '{n} منٹ پہلے اپ ڈیٹ ہوا',
+  'live.waitingShared': 'پہلی لوکیشن اپ ڈیٹ کا انتظار…',
+  'live.expired': 'یہ لائیو مقام لنک ختم ہو چکا ہے۔',
+  'live.loadFailed': 'لائیو مقام لوڈ نہیں ہو سکا۔',
+
+  'jobs.title': 'مدد کی درخواستیں',
+  'jobs.request': 'مدد مانگیں',
+  'jobs.requestTitle': 'مدد مانگیں',
+  'jobs.sendingTo': 'آپ کی درخواست {name} کو جائے گی۔',
+  'jobs.service': 'سروس',
+  'jobs.broadcastTo': 'کس کو بھیجیں',
+  'jobs.nearestN': 'قریب ترین {n}',
+  'jobs.problem': 'مسئلہ کیا ہے؟',
+  'jobs.problemPlaceholder': 'مثلاً موٹروے پر ٹائر پنکچر، اسپیئر نہیں',
+  'jobs.photos': 'تصاویر ({n} تک)',
+  'jobs.removePhoto': 'تصویر ہٹائیں',
+  'jobs.photoTooLarge': 'ہر تصویر 5 MB سے کم ہونی چاہیے۔',
+  'jobs.locationShared': 'آپ کا موجودہ مقام درخواست کے ساتھ بھیجا جائے گا۔',
+  'jobs.noPosition': 'پہلے نقشے پر اپنا مقام سیٹ کریں۔',
+  'jobs.send': 'درخواست بھیجیں',
+  'jobs.signInFirst': 'مدد کی درخواستیں بھیجنے اور جواب دینے کے لیے سائن ان کریں۔',
+  'jobs.loadFailed': 'درخواستیں لوڈ نہیں ہو سکیں۔',
+  'jobs.sendFailed': 'درخواست نہیں بھیجی جا سکی۔',
+  'jobs.updateFailed': 'درخواست اپ ڈیٹ نہیں ہو سکی۔',
+  'jobs.live': 'لائیو',
+  'jobs.reconnecting': 'دوبارہ جڑ رہا ہے…',
+  'jobs.tab.requester': 'بھیجی گئی',
+  'jobs.tab.vendor': 'میری لسٹنگز کے لیے',
+  'jobs.empty.requester': 'آپ نے ابھی تک کوئی درخواست نہیں بھیجی۔',
+  'jobs.empty.vendor': 'آپ کی لسٹنگز کے لیے ابھی کوئی درخواست نہیں۔',
+  'jobs.broadcastSent': 'قریبی {n} {service} کو بھیجی گئی',
+  'jobs.accept': 'قبول کریں',
+  'jobs.decline': 'انکار کریں',
+  'jobs.cancel': 'درخواست منسوخ کریں',
+  'jobs.markDone': 'مکمل ہو گیا',
+  'jobs.callCustomer': 'گاہک کو کال کریں',
+  'jobs.status.pending': 'انتظار میں',
+  'jobs.status.accepted': 'قبول',
+  'jobs.status.declined': 'انکار',
+  'jobs.status.cancelled': 'منسوخ',
+  'jobs.status.completed': 'مکمل',
+
+  'otp.send': 'کوڈ بھیجیں',
+  'otp.sendFailed': 'کوڈ نہیں بھیجا جا سکا۔ دوبارہ کوشش کریں۔',
+  'otp.sentTo': '{to} پر بھیجا گیا 6 ہندسوں کا کوڈ درج کریں۔',
+  'otp.devCode': 'ڈیولپمنٹ کوڈ: {code}',
+  'otp.code': 'کوڈ',
+  'otp.invalid': 'یہ کوڈ غلط ہے یا اس کی میعاد ختم ہو چکی ہے۔',
+  'otp.resend': 'کوڈ دوبارہ بھیجیں',
+  'otp.resendIn': '{s} سیکنڈ میں دوبارہ بھیجیں',
+  'otp.changeNumber': 'نمبر تبدیل کریں',
+
+  'reset.title': 'اپنا پاس ورڈ ری سیٹ کریں',
+  'reset.hint': 'اپنے اکاؤنٹ کا فون نمبر یا ای میل درج کریں، ہم کوڈ بھیجیں گے۔',
+  'reset.newPassword': 'نیا پاس ورڈ',
+  'reset.submit': 'نیا پاس ورڈ سیٹ کریں',
+  'reset.failed': 'پاس ورڈ ری سیٹ نہیں ہو سکا۔',
+  'reset.back': 'سائن ان پر واپس',
+  'reset.done': 'پاس ورڈ تبدیل ہو گیا۔ نئے پاس ورڈ سے سائن ان کریں۔',
+
+  'oidc.signingIn': 'آپ کو سائن ان کیا جا رہا ہے…',
+  'oidc.cancelled': 'سائن ان منسوخ کر دیا گیا۔',
+  'oidc.invalidState': 'اس سائن ان لنک کی میعاد ختم ہو چکی ہے۔ دوبارہ شروع کریں۔',
+  'oidc.failed': 'سائن ان ناکام ہو گیا۔ دوبارہ کوشش کریں۔',
+  'oidc.linkTitle': 'اپنا اکاؤنٹ لنک کریں',
+  'oidc.linkHint': '{account} کے ساتھ آپ کا اکاؤنٹ پہلے سے موجود ہے۔ تصدیق کریں کہ یہ آپ کا ہے تاکہ آئندہ دونوں سے سائن ان ہو سکے۔',
+  'oidc.link': 'لنک کر کے سائن ان کریں',
+  'oidc.linkFailed': 'اکاؤنٹس لنک نہیں ہو سکے۔',
+
+  'api.offline': 'کنکشن نہیں ہے۔ انٹرنیٹ چیک کر کے دوبارہ کوشش کریں۔',
+
+  'fav.title': 'محفوظ',
+  'fav.add': 'پسندیدہ میں شامل کریں',
+  'fav.remove': 'پسندیدہ سے ہٹائیں',
+  'fav.places': 'مقامات',
+  'fav.vendors': 'پسندیدہ وینڈرز',
+  'fav.noPlaces': 'ابھی کوئی مقام محفوظ نہیں۔',
+  'fav.noVendors': 'کسی وینڈر پر ☆ دبائیں تاکہ وہ یہاں رہے۔',
+  'fav.saveHere': 'اپنا موجودہ مقام اس نام سے محفوظ کریں',
+  'fav.placeName': 'مثلاً ایم-2 کلر کہار اسٹاپ',
+  'fav.needPosition': 'مقام محفوظ کرنے کے لیے پہلے اپنا مقام سیٹ کریں۔',
+  'fav.removePlace': 'مقام ہٹائیں',
+  'fav.preset.home': 'گھر',
+  'fav.preset.office': 'دفتر',
+
+  'corridor.title': 'راستے کے ساتھ',
+  'corridor.from': 'آغاز',
+  'corridor.to': 'منزل',
+  'corridor.notSet': 'منتخب نہیں',
+  'corridor.useMine': 'میرا مقام استعمال کریں',
+  'corridor.pick.from': 'آغاز کا مقام منتخب کرنے کے لیے نقشے پر ٹیپ کریں',
+  'corridor.pick.to': 'منزل منتخب کرنے کے لیے نقشے پر ٹیپ کریں',
+  'corridor.swap': 'الٹ دیں',
+  'corridor.buffer': 'سڑک کے دونوں طرف',
+  'corridor.hint': 'آغاز اور منزل منتخب کریں، مثلاً موٹروے کے دو انٹرچینج، تاکہ ان کے درمیان سڑک پر مدد دیکھ سکیں۔',
+  'corridor.searching': 'راستے کے ساتھ تلاش جاری ہے…',
+  'corridor.failed': 'اس راستے پر وینڈرز لوڈ نہیں ہو سکے۔',
+  'corridor.count': 'سڑک سے {km} کلومیٹر کے اندر {n}',
+  'corridor.position': '{along} آگے · سڑک سے {off} دور',
+
+  'appearance.custom': 'اپنا رنگ',
+  'appearance.mode': 'رنگ موڈ',
+  'appearance.system': 'سسٹم',
+  'appearance.light': 'روشن',
+  'appearance.dark': 'تاریک',
+
+  'diag.title': 'تشخیص',
+  'diag.running': 'جانچ جاری ہے…',
+  'diag.runAgain': 'دوبارہ جانچیں',
+  'diag.copy': 'رپورٹ کاپی کریں',
+  'diag.copied': 'کاپی ہو گئی۔ اسے اپنے سپورٹ پیغام میں پیسٹ کریں۔',
+  'diag.copyFailed': 'کاپی نہیں ہو سکی۔ نیچے سے رپورٹ خود منتخب کریں۔',
+  'diag.check.backend': 'بیک اینڈ',
+  'diag.check.database': 'ڈیٹا بیس',
+  'diag.check.auth': 'سائن اِن (/api/auth/me)',
+  'diag.check.nearby': 'قریبی تلاش',
+  'diag.check.geolocation': 'مقام کی اجازت',
+  'diag.check.tiles': 'نقشے کی ٹائلیں',
+  'diag.check.darkTiles': 'تاریک نقشے کی ٹائلیں',
+  'diag.check.serviceWorker': 'آف لائن سپورٹ (سروس ورکر)',
+  'diag.check.caches': 'آف لائن کیش',
+  'diag.notSignedIn': 'سائن اِن نہیں',
+  'diag.signedInAs': '{name} ({role})',
+  'diag.nearbyFound': 'نمونہ مقام کے {km} کلومیٹر کے اندر {n} وینڈرز',
+  'diag.unsupported': 'یہ براؤزر اس کی سہولت نہیں دیتا',
+  'diag.permissionUnknown': 'یہ براؤزر اجازت کی حالت نہیں بتاتا',
+  'diag.swNone': 'رجسٹرڈ نہیں',
+  'diag.swNotControlling': 'اسے اس صفحے پر فعال کرنے کے لیے ری لوڈ کریں',
+  'diag.cacheEmpty': 'ابھی کچھ کیش نہیں ہوا'
+}
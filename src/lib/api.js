@@ -0,0 +1,152 @@
+import { accessToken, refreshToken, saveSession, clearSession } from './session'
+
+// Every call to our own backend goes through `api`: base URL, bearer token, one refresh
+// (with rotation) on a 401, retries with backoff for idempotent requests, and errors that
+// say what went wrong. External services (tiles, geocoding, routing) do not use it.
+export const backend = import.meta.env.VITE_BACKEND_URL || ''
+
+// Fired when the session is gone for good (refresh rejected), so the app can ask to sign in
+export const SESSION_EXPIRED = 'madad:session-expired'
+
+const RETRY_STATUSES = [429, 502, 503, 504]
+const BACKOFF_MS = 400
+
+// The request never got an answer: offline, DNS, CORS, server down
+export class NetworkError extends Error {
+  constructor(message = 'Network error') {
+    super(message)
+    this.name = 'NetworkError'
+  }
+}
+
+// The server answered with an error status; `detail` is its message, if any
+export class ApiError extends Error {
+  constructor(status, data) {
+    super(data?.detail || `Request failed (${status})`)
+    this.name = 'ApiError'
+    this.status = status
+    this.detail = data?.detail
+    this.data = data
+  }
+}
+
+// 401 that a token refresh could not fix
+export class AuthError extends ApiError {
+  constructor(data) {
+    super(401, data)
+    this.name = 'AuthError'
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Waits before the next attempt; an abort during the wait rejects like an aborted fetch
+async function backoff(attempt, signal) {
+  await sleep(BACKOFF_MS * 2 ** attempt)
+  if (signal?.aborted) throw signal.reason ?? new DOMException('Aborted', 'AbortError')
+}
+
+async function send(url, init) {
+  try {
+    return await fetch(url, init)
+  } catch (e) {
+    if (e.name === 'AbortError') throw e
+    throw new NetworkError()
+  }
+}
+
+async function parse(res) {
+  if (res.status === 204) return null
+  return res.json().catch(() => null)
+}
+
+let refreshing = null
+
+// Concurrent 401s share one refresh; the server rotates the refresh token each time
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const token = refreshToken()
+      if (!token) throw new AuthError()
+      const res = await send(`${backend}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: token })
+      })
+      const data = await parse(res)
+      if (res.status === 401 || res.status === 403) throw new AuthError(data)
+      if (!res.ok) throw new ApiError(res.status, data)
+      saveSession(data)
+    })().finally(() => {
+      refreshing = null
+    })
+  }
+  return refreshing
+}
+
+function expireSession() {
+  clearSession()
+  window.dispatchEvent(new Event(SESSION_EXPIRED))
+}
+
+// Calls the backend and resolves to the parsed JSON body. `json` is sent as JSON, `form`
+// as multipart; `retries` counts extra attempts on network errors and 429/5xx (GET: 2).
+// `token` replaces the session token (e.g. a share key) and is never refreshed.
+// Rejects with NetworkError, AuthError or ApiError; aborts pass through unchanged.
+export async function api(path, { method = 'GET', json, form, signal, retries, keepalive, token: explicitToken } = {}) {
+  const maxRetries = retries ?? (method === 'GET' ? 2 : 0)
+  let refreshed = false
+
+  for (let attempt = 0; ; attempt++) {
+    const headers = {}
+    const token = explicitToken || accessToken()
+    if (token) headers.Authorization = `Bearer ${token}`
+    if (json !== undefined) headers['Content-Type'] = 'application/json'
+
+    let res
+    try {
+      res = await send(`${backend}${path}`, {
+        method,
+        headers,
+        body: json !== undefined ? JSON.stringify(json) : form,
+        signal,
+        keepalive
+      })
+    } catch (e) {
+      if (e instanceof NetworkError && attempt < maxRetries) {
+        await backoff(attempt, signal)
+        continue
+      }
+      throw e
+    }
+
+    if (res.status === 401 && token && !explicitToken && !refreshed) {
+      refreshed = true
+      try {
+        await refreshSession()
+      } catch (e) {
+        // Offline is not a reason to sign out; only a rejected refresh is
+        if (e instanceof AuthError) expireSession()
+        throw e
+      }
+      attempt--
+      continue
+    }
+
+    if (RETRY_STATUSES.includes(res.status) && attempt < maxRetries) {
+      await backoff(attempt, signal)
+      continue
+    }
+
+    const data = await parse(res)
+    if (res.status === 401) throw new AuthError(data)
+    if (!res.ok) throw new ApiError(res.status, data)
+    return data
+  }
+}
+
+// What to show the user: offline hint, the server's own message, or a per-screen fallback
+export function errorMessage(e, tr, fallbackKey) {
+  if (e instanceof NetworkError) return tr('api.offline')
+  return e.detail || tr(fallbackKey)
+}
@@ -0,0 +1,53 @@
+import { api } from './api'
+import { refreshToken, clearSession } from './session'
+
+export function isAdmin(user) {
+  return !!user && (user.role === 'admin' || (Array.isArray(user.roles) && user.roles.includes('admin')))
+}
+
+// mode: 'login' | 'register'. Resolves to a session payload for saveSession.
+export function passwordSignIn(mode, { name, phone, email, password }) {
+  const json = mode === 'register'
+    ? { name: name || undefined, phone: phone || undefined, email: email || undefined, password }
+    : { phone: phone || undefined, email: email || undefined, password }
+  return api(mode === 'register' ? '/api/auth/register' : '/api/auth/login', { method: 'POST', json })
+}
+
+export function fetchMe({ retries } = {}) {
+  return api('/api/auth/me', { retries })
+}
+
+// One-time codes go out through the backend's SMS provider. With the development mock
+// provider the backend prints the code to its log and may echo it back as `dev_code`.
+// purpose: 'login' | 'register' | 'reset' | 'link' (the code goes to the account behind
+// `linkToken`). Resolves to { resend_after_s, dev_code? }.
+export function requestOtp({ phone, email, purpose, linkToken }) {
+  return api('/api/auth/otp/request', {
+    method: 'POST',
+    json: {
+      phone: phone || undefined,
+      email: email || undefined,
+      purpose,
+      link_token: linkToken || undefined
+    }
+  })
+}
+
+// Signs in (or registers, when `name` is given) with a code; resolves to a session payload
+export function verifyOtp({ phone, code, name }) {
+  return api('/api/auth/otp/verify', { method: 'POST', json: { phone, code, name: name || undefined } })
+}
+
+export function resetPassword({ phone, email, code, password }) {
+  return api('/api/auth/password/reset', {
+    method: 'POST',
+    json: { phone: phone || undefined, email: email || undefined, code, new_password: password }
+  })
+}
+
+// Revokes the refresh token server-side (best-effort) and forgets the session locally
+export function logout() {
+  const token = refreshToken()
+  if (token) api('/api/auth/logout', { method: 'POST', json: { refresh_token: token }, keepalive: true }).catch(() => {})
+  clearSession()
+}
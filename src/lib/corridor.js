@@ -0,0 +1,97 @@
+import { distanceKm } from './geo'
+import { vendorLatLng } from './leaflet'
+import { fetchNearby } from './vendors'
+
+// Buffer widths offered for a highway search, in km either side of the road
+export const CORRIDOR_BUFFERS = [1, 2, 5, 10]
+
+// The route is covered by overlapping nearby circles; long motorways get fewer,
+// larger circles so a Lahore–Islamabad search stays within a sane request count
+const MAX_SAMPLES = 40
+const CONCURRENCY = 4
+
+// Position of a point relative to a route: how far along it the closest spot is,
+// and how far off the road the point sits
+export function routeProgress(point, coordinates) {
+  let best = { alongKm: 0, offsetKm: Infinity }
+  let travelled = 0
+  for (let i = 1; i < coordinates.length; i++) {
+    const a = coordinates[i - 1]
+    const b = coordinates[i]
+    // Flat projection around `a` is plenty at road-segment scale
+    const kx = 111.32 * Math.cos((a[0] * Math.PI) / 180)
+    const ky = 110.57
+    const bx = (b[1] - a[1]) * kx
+    const by = (b[0] - a[0]) * ky
+    const px = (point[1] - a[1]) * kx
+    const py = (point[0] - a[0]) * ky
+    const len2 = bx * bx + by * by
+    const t = len2 ? Math.min(1, Math.max(0, (px * bx + py * by) / len2)) : 0
+    const offsetKm = Math.hypot(px - t * bx, py - t * by)
+    const segmentKm = Math.sqrt(len2)
+    if (offsetKm < best.offsetKm) best = { alongKm: travelled + t * segmentKm, offsetKm }
+    travelled += segmentKm
+  }
+  return best
+}
+
+// Points every `spacingKm` along the route, ends included. Long straight stretches have
+// few vertices, so points are interpolated inside segments rather than snapped to vertices.
+function samplePoints(coordinates, spacingKm) {
+  const points = [coordinates[0]]
+  let travelled = 0
+  let next = spacingKm
+  for (let i = 1; i < coordinates.length; i++) {
+    const a = coordinates[i - 1]
+    const b = coordinates[i]
+    const segmentKm = distanceKm(a, b)
+    while (segmentKm && next <= travelled + segmentKm) {
+      const t = (next - travelled) / segmentKm
+      points.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t])
+      next += spacingKm
+    }
+    travelled += segmentKm
+  }
+  const last = coordinates[coordinates.length - 1]
+  const end = points[points.length - 1]
+  if (end[0] !== last[0] || end[1] !== last[1]) points.push(last)
+  return points
+}
+
+async function inBatches(items, size, fn) {
+  const results = []
+  for (let i = 0; i < items.length; i += size) {
+    results.push(...await Promise.all(items.slice(i, i + size).map(fn)))
+  }
+  return results
+}
+
+// Vendors within `bufferKm` of the route line, ordered by distance along it.
+// Each vendor gets `along_km` and `offset_km`.
+export async function fetchCorridorVendors({ route, serviceType, bufferKm, signal }) {
+  const spacingKm = Math.max(bufferKm * 3, route.distanceKm / MAX_SAMPLES, 1)
+  // Circle radius that still reaches the buffer edge halfway between two samples
+  const radiusKm = Number(Math.hypot(bufferKm, spacingKm / 2).toFixed(2))
+  const points = samplePoints(route.coordinates, spacingKm)
+
+  let failed = 0
+  const lists = await inBatches(points, CONCURRENCY, async (position) => {
+    try {
+      return await fetchNearby({ position, serviceType, radiusKm, signal })
+    } catch (e) {
+      if (e.name === 'AbortError') throw e
+      failed += 1
+      return []
+    }
+  })
+  // A few missing circles still leave a useful answer; none at all is an error
+  if (failed === points.length) throw new Error('Corridor search failed')
+
+  const byId = new Map()
+  for (const v of lists.flat()) {
+    if (byId.has(v.id)) continue
+    const { alongKm, offsetKm } = routeProgress(vendorLatLng(v), route.coordinates)
+    if (offsetKm <= bufferKm) byId.set(v.id, { ...v, along_km: alongKm, offset_km: offsetKm })
+  }
+  return [...byId.values()].sort((a, b) => a.along_km - b.along_km)
+}
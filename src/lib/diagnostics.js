@@ -0,0 +1,141 @@
+import { api, backend, ApiError, NetworkError } from './api'
+import { accessToken } from './session'
+import { fetchMe } from './auth'
+import { fetchNearby } from './vendors'
+import { DEFAULT_CENTER, TILE_LAYERS } from './leaflet'
+
+// Health checks for the /test page. Each resolves to { status: 'ok' | 'warn' | 'fail', detail };
+// `timed` checks also get the round trip in ms, so backend calls are made without retries.
+const TILE_TIMEOUT_MS = 8000
+const SAMPLE_RADIUS_KM = 5
+
+function describeError(e) {
+  if (e instanceof NetworkError) return 'No response (offline, CORS or server down)'
+  if (e instanceof ApiError) return `HTTP ${e.status}${e.detail ? `: ${e.detail}` : ''}`
+  return e.message || String(e)
+}
+
+async function checkBackend() {
+  const data = await api('/', { retries: 0 })
+  return { status: 'ok', detail: data?.message || 'OK' }
+}
+
+async function checkDatabase() {
+  const db = await api('/test', { retries: 0 })
+  const collections = db?.collections?.length ? ` · ${db.collections.length} collections` : ''
+  const failed = /fail|error|disconnect/i.test(db?.connection_status || '')
+  return {
+    status: failed ? 'fail' : 'ok',
+    detail: `${db?.database_name || '?'}: ${db?.connection_status || db?.database || 'unknown'}${collections}`
+  }
+}
+
+async function checkAuth(tr) {
+  if (!accessToken()) return { status: 'warn', detail: tr('diag.notSignedIn') }
+  const data = await fetchMe({ retries: 0 })
+  const user = data?.user || data
+  return { status: 'ok', detail: tr('diag.signedInAs', { name: user?.name || user?.phone || user?.email || user?.id || '?', role: user?.role || 'user' }) }
+}
+
+async function checkNearby(tr) {
+  const vendors = await fetchNearby({ position: DEFAULT_CENTER, radiusKm: SAMPLE_RADIUS_KM, retries: 0 })
+  return { status: 'ok', detail: tr('diag.nearbyFound', { n: vendors.length, km: SAMPLE_RADIUS_KM }) }
+}
+
+async function checkGeolocation(tr) {
+  if (!navigator.geolocation) return { status: 'fail', detail: tr('diag.unsupported') }
+  if (!navigator.permissions) return { status: 'warn', detail: tr('diag.permissionUnknown') }
+  const { state } = await navigator.permissions.query({ name: 'geolocation' })
+  return { status: { granted: 'ok', prompt: 'warn' }[state] || 'fail', detail: state }
+}
+
+// An <img> load avoids CORS, which tile servers do not all allow for fetch()
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    const timer = setTimeout(() => {
+      img.src = ''
+      reject(new Error(`Timed out after ${TILE_TIMEOUT_MS / 1000} s`))
+    }, TILE_TIMEOUT_MS)
+    img.onload = () => {
+      clearTimeout(timer)
+      resolve()
+    }
+    img.onerror = () => {
+      clearTimeout(timer)
+      reject(new Error('Tile failed to load'))
+    }
+    // The service worker skips ?diag= URLs (vite.config.js), so this reaches the tile server
+    // and leaves no entry in the offline tile cache
+    img.src = `${url}?diag=${Date.now()}`
+  })
+}
+
+function tileUrl({ url }) {
+  return url.replace('{s}', 'a').replace('{z}', '0').replace('{x}', '0').replace('{y}', '0').replace('{r}', '')
+}
+
+async function checkTiles(layer) {
+  await loadImage(tileUrl(TILE_LAYERS[layer]))
+  return { status: 'ok', detail: new URL(TILE_LAYERS[layer].url.replace('{s}', 'a')).host }
+}
+
+async function checkServiceWorker(tr) {
+  if (!('serviceWorker' in navigator)) return { status: 'warn', detail: tr('diag.unsupported') }
+  const registration = await navigator.serviceWorker.getRegistration()
+  if (!registration) return { status: 'warn', detail: tr('diag.swNone') }
+  const worker = registration.active || registration.waiting || registration.installing
+  return {
+    status: registration.active ? 'ok' : 'warn',
+    detail: `${worker?.state || 'unknown'} · ${registration.scope}${navigator.serviceWorker.controller ? '' : ` · ${tr('diag.swNotControlling')}`}`
+  }
+}
+
+async function checkCaches(tr) {
+  if (!('caches' in window)) return { status: 'warn', detail: tr('diag.unsupported') }
+  const names = await caches.keys()
+  if (!names.length) return { status: 'warn', detail: tr('diag.cacheEmpty') }
+  const sizes = await Promise.all(names.map(async (name) => `${name} (${(await (await caches.open(name)).keys()).length})`))
+  return { status: 'ok', detail: sizes.join(', ') }
+}
+
+export const CHECKS = [
+  { key: 'backend', run: checkBackend, timed: true },
+  { key: 'database', run: checkDatabase, timed: true },
+  { key: 'auth', run: checkAuth, timed: true },
+  { key: 'nearby', run: checkNearby, timed: true },
+  { key: 'geolocation', run: checkGeolocation },
+  { key: 'tiles', run: () => checkTiles('light'), timed: true },
+  { key: 'darkTiles', run: () => checkTiles('dark'), timed: true },
+  { key: 'serviceWorker', run: checkServiceWorker },
+  { key: 'caches', run: checkCaches }
+]
+
+// Never rejects: a thrown error is a failed check
+export async function runCheck(check, tr) {
+  const started = performance.now()
+  try {
+    const result = await check.run(tr)
+    return { ...result, ms: check.timed ? Math.round(performance.now() - started) : null }
+  } catch (e) {
+    return { status: 'fail', detail: describeError(e), ms: check.timed ? Math.round(performance.now() - started) : null }
+  }
+}
+
+// Plain-text summary to paste into a support ticket
+export function buildReport(results, labelOf) {
+  const lines = [
+    `Madad diagnostics · ${new Date().toISOString()}`,
+    `App: ${window.location.origin} · backend: ${backend || '(same origin)'}`,
+    `Browser: ${navigator.userAgent}`,
+    `Online: ${navigator.onLine} · language: ${navigator.language}`,
+    ''
+  ]
+  for (const check of CHECKS) {
+    const r = results[check.key]
+    if (!r) continue
+    const ms = r.ms != null ? ` (${r.ms} ms)` : ''
+    lines.push(`[${r.status.toUpperCase()}] ${labelOf(check.key)}${ms}: ${r.detail}`)
+  }
+  return lines.join('\n')
+}
@@ -0,0 +1,73 @@
+import { api } from './api'
+
+// Starred vendors and named places. Guests keep them in localStorage; signed-in users
+// keep them on their account, with a local copy so the panel still works offline.
+const GUEST_KEY = 'madad_favorites'
+const ACCOUNT_KEY = 'madad_favorites_account'
+const PENDING_KEY = 'madad_favorites_pending' // set while the local account copy has unsynced edits
+export const PLACE_PRESETS = ['home', 'office']
+
+const emptyFavorites = { vendors: [], places: [] }
+
+export function loadFavorites(key) {
+  try {
+    return { ...emptyFavorites, ...JSON.parse(localStorage.getItem(key)) }
+  } catch {
+    return emptyFavorites
+  }
+}
+
+export function storeFavorites(key, favorites) {
+  localStorage.setItem(key, JSON.stringify(favorites))
+}
+
+export function clearGuestFavorites() {
+  localStorage.removeItem(GUEST_KEY)
+}
+
+export function localKey(signedIn) {
+  return signedIn ? ACCOUNT_KEY : GUEST_KEY
+}
+
+// Enough of a vendor to show and call it without loading it again
+export function vendorSnapshot(v) {
+  return {
+    id: v.id,
+    name: v.name,
+    phone: v.phone,
+    service_type: v.service_type,
+    location: v.location,
+    verified: v.verified
+  }
+}
+
+const unionById = (a, b) => [...a, ...b.filter((x) => !a.some((y) => y.id === x.id))]
+
+export function mergeFavorites(a, b) {
+  return { vendors: unionById(a.vendors, b.vendors), places: unionById(a.places, b.places) }
+}
+
+export async function fetchAccountFavorites() {
+  const data = await api('/api/me/favorites')
+  return { vendors: data?.vendors || [], places: data?.places || [] }
+}
+
+export function saveAccountFavorites(favorites) {
+  return api('/api/me/favorites', { method: 'PUT', json: favorites })
+}
+
+export function hasPendingSync() {
+  return localStorage.getItem(PENDING_KEY) === '1'
+}
+
+// Saves to the account, remembering a failed save so the next sign-in or reload retries it
+export async function syncAccountFavorites(favorites) {
+  localStorage.setItem(PENDING_KEY, '1')
+  try {
+    await saveAccountFavorites(favorites)
+    localStorage.removeItem(PENDING_KEY)
+  } catch (e) {
+    localStorage.setItem(PENDING_KEY, '1')
+    throw e
+  }
+}
@@ -0,0 +1,18 @@
+const EARTH_RADIUS_KM = 6371
+
+// Great-circle distance between two [lat, lng] points
+export function distanceKm([lat1, lng1], [lat2, lng2]) {
+  const toRad = (d) => (d * Math.PI) / 180
+  const dLat = toRad(lat2 - lat1)
+  const dLng = toRad(lng2 - lng1)
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+export function formatDistance(km) {
+  if (km < 1) return `${Math.round(km * 1000)} m`
+  return `${km < 10 ? km.toFixed(1) : Math.round(km)} km`
+}
+
+// Search radii offered in the UI; an empty result widens to the next step
+export const RADIUS_STEPS = [2, 5, 10, 25, 50]
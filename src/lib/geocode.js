@@ -0,0 +1,33 @@
+// Place search over OpenStreetMap Nominatim, the same data source as our tiles.
+// Results are limited to Pakistan so "Saddar" finds Karachi/Rawalpindi, not elsewhere.
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search'
+
+// Accepts "31.5204, 74.3587", "31.5204 74.3587" and similar pasted coordinates
+export function parseLatLng(text) {
+  const m = text.trim().match(/^(-?\d{1,2}(?:\.\d+)?)\s*[,\s]\s*(-?\d{1,3}(?:\.\d+)?)$/)
+  if (!m) return null
+  const lat = Number(m[1])
+  const lng = Number(m[2])
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+  return [lat, lng]
+}
+
+export async function searchPlaces(query, { signal, lang = 'en' } = {}) {
+  const params = new URLSearchParams({
+    q: query,
+    format: 'json',
+    countrycodes: 'pk',
+    limit: '5'
+  })
+  const res = await fetch(`${NOMINATIM_URL}?${params.toString()}`, {
+    signal,
+    headers: { 'Accept-Language': lang }
+  })
+  if (!res.ok) throw new Error('Place search failed')
+  const data = await res.json()
+  return data.map((p) => ({
+    id: p.place_id,
+    label: p.display_name,
+    position: [Number(p.lat), Number(p.lon)]
+  }))
+}
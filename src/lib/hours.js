@@ -0,0 +1,93 @@
+// Weekly opening hours as stored on a vendor:
+//   { mon: [{ open: '09:00', close: '21:00' }], ..., sun: [] }
+// An empty day is closed; '00:00'–'24:00' is open all day; close < open runs past midnight.
+export const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+
+export const ALL_DAY = { open: '00:00', close: '24:00' }
+
+export function defaultHours() {
+  return Object.fromEntries(DAYS.map((d) => [d, [{ open: '09:00', close: '21:00' }]]))
+}
+
+export function isAllDay(intervals) {
+  return intervals.length === 1 && intervals[0].open === ALL_DAY.open && intervals[0].close === ALL_DAY.close
+}
+
+const DAY_MINUTES = 24 * 60
+const WEEK_MINUTES = 7 * DAY_MINUTES
+const TIME_ZONE = 'Asia/Karachi'
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number)
+  return h * 60 + (m || 0)
+}
+
+// Current day/minute in Pakistan, whatever the device clock's zone is
+export function pakistanNow(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIME_ZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date)
+  const get = (type) => parts.find((p) => p.type === type).value
+  const day = DAYS.indexOf(get('weekday').slice(0, 3).toLowerCase())
+  return day * DAY_MINUTES + Number(get('hour')) * 60 + Number(get('minute'))
+}
+
+// Intervals as [start, end) minutes from Monday 00:00; overnight ones run into the next day
+function weekIntervals(hours) {
+  const out = []
+  DAYS.forEach((day, i) => {
+    for (const { open, close } of hours[day] || []) {
+      const start = i * DAY_MINUTES + toMinutes(open)
+      let end = i * DAY_MINUTES + toMinutes(close)
+      if (end <= start) end += DAY_MINUTES
+      out.push([start, end])
+    }
+  })
+  return out.sort((a, b) => a[0] - b[0])
+}
+
+// { open, closesAt?, opensAt? } where the times are { day, time: 'HH:MM' }; null when hours are unknown
+export function openStatus(hours, now = pakistanNow()) {
+  if (!hours) return null
+  const intervals = weekIntervals(hours)
+  if (!intervals.length) return { open: false }
+
+  const containing = intervals.find(([s, e]) => (now >= s && now < e) || (now + WEEK_MINUTES >= s && now + WEEK_MINUTES < e))
+  if (containing) {
+    // Follow back-to-back intervals (e.g. 24-hour days) to find when it really closes
+    let end = containing[1]
+    for (let i = 0; i < 7; i++) {
+      const next = intervals.find(([s]) => s === end % WEEK_MINUTES)
+      if (!next) break
+      end += next[1] - next[0]
+    }
+    if (end - containing[0] >= WEEK_MINUTES) return { open: true }
+    return { open: true, closesAt: atWeekMinute(end) }
+  }
+
+  const upcoming = intervals.find(([s]) => s > now) || intervals[0]
+  return { open: false, opensAt: atWeekMinute(upcoming[0]) }
+}
+
+function atWeekMinute(m) {
+  const w = m % WEEK_MINUTES
+  const day = DAYS[Math.floor(w / DAY_MINUTES)]
+  const mins = w % DAY_MINUTES
+  const pad = (n) => String(n).padStart(2, '0')
+  return { day, time: `${pad(Math.floor(mins / 60))}:${pad(mins % 60)}` }
+}
+
+export function isOpenNow(hours, now) {
+  return !!openStatus(hours, now)?.open
+}
+
+// '21:00' -> '9 pm', '09:30' -> '9:30 am'; tr supplies the localized am/pm
+export function formatTime(hhmm, tr) {
+  const [h, m] = hhmm.split(':').map(Number)
+  const h12 = h % 12 || 12
+  return `${h12}${m ? `:${String(m).padStart(2, '0')}` : ''} ${tr(h % 24 < 12 ? 'hours.am' : 'hours.pm')}`
+}
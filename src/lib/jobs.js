@@ -0,0 +1,79 @@
+import { api, backend, AuthError } from './api'
+import { accessToken } from './session'
+
+// Help requests ("jobs") sent from a user to one vendor, or broadcast to the nearest few
+// of a service type. Status moves pending -> accepted | declined | cancelled -> completed.
+export const BROADCAST_COUNTS = [3, 5, 10]
+export const MAX_JOB_PHOTOS = 3
+export const MAX_JOB_PHOTO_BYTES = 5 * 1024 * 1024
+const RECONNECT_MS = 3000
+
+// target is { vendorId } or { serviceType, count }
+export async function createJob({ target, position, description, photos }) {
+  const body = new FormData()
+  if (target.vendorId) body.append('vendor_id', target.vendorId)
+  else {
+    body.append('service_type', target.serviceType)
+    body.append('count', String(target.count))
+  }
+  body.append('lat', String(position[0]))
+  body.append('lng', String(position[1]))
+  body.append('description', description)
+  photos.forEach((f) => body.append('photos', f))
+  const data = await api('/api/jobs', { method: 'POST', form: body })
+  return data?.job || data
+}
+
+// role: 'requester' for jobs I sent, 'vendor' for jobs sent to my listings
+export async function fetchJobs(role) {
+  const data = await api(`/api/jobs?role=${role}`)
+  return data?.jobs || []
+}
+
+// action: 'accept' | 'decline' (vendor) or 'cancel' | 'complete' (requester)
+export async function updateJob(jobId, action) {
+  const data = await api(`/api/jobs/${encodeURIComponent(jobId)}/${action}`, { method: 'POST', json: {} })
+  return data?.job || data
+}
+
+// Server-sent events, one `job` event ({ role, job }) per change to a job the user is part
+// of. EventSource cannot set headers, so the token travels in the query string. Before a
+// reconnect an authenticated call lets the API client refresh an expired token; once the
+// session is rejected for good the stream stays closed.
+export function subscribeJobs({ onJob, onStatus }) {
+  if (!window.EventSource) return () => {}
+  let source = null
+  let retry = null
+  let closed = false
+  const reconnect = async () => {
+    try {
+      await api('/api/auth/me', { retries: 0 })
+    } catch (e) {
+      if (e instanceof AuthError) return
+      // offline or server trouble: try the stream again anyway
+    }
+    if (!closed) open()
+  }
+  const open = () => {
+    source = new EventSource(`${backend}/api/jobs/stream?token=${encodeURIComponent(accessToken() || '')}`)
+    source.onopen = () => onStatus?.(true)
+    source.onerror = () => {
+      onStatus?.(false)
+      source.close()
+      retry = setTimeout(reconnect, RECONNECT_MS)
+    }
+    source.addEventListener('job', (e) => {
+      try {
+        onJob(JSON.parse(e.data))
+      } catch {
+        // ignore malformed events
+      }
+    })
+  }
+  open()
+  return () => {
+    closed = true
+    clearTimeout(retry)
+    source.close()
+  }
+}
@@ -0,0 +1,39 @@
+import L from 'leaflet'
+import 'leaflet/dist/leaflet.css'
+
+// Fix default icon paths for Leaflet in Vite
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png'
+import markerIcon from 'leaflet/dist/images/marker-icon.png'
+import markerShadow from 'leaflet/dist/images/marker-shadow.png'
+
+const DefaultIcon = L.icon({
+  iconUrl: markerIcon,
+  iconRetinaUrl: markerIcon2x,
+  shadowUrl: markerShadow,
+  iconSize: [25, 41],
+  iconAnchor: [12, 41]
+})
+L.Marker.prototype.options.icon = DefaultIcon
+
+export const DEFAULT_CENTER = [24.8607, 67.0011] // Karachi
+
+// Vendors store GeoJSON points, which are [lng, lat]; Leaflet wants [lat, lng]
+export function vendorLatLng(v) {
+  return [v.location.coordinates[1], v.location.coordinates[0]]
+}
+
+export function directionsUrl([lat, lng]) {
+  return `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`
+}
+
+// Base map tiles for light and dark mode; CARTO's dark basemap is drawn from the same OSM data
+export const TILE_LAYERS = {
+  light: {
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; OpenStreetMap contributors'
+  },
+  dark: {
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; OpenStreetMap contributors &copy; CARTO'
+  }
+}
@@ -0,0 +1,53 @@
+import { api } from './api'
+
+// Temporary live-location links. The backend hands out a share id (public, goes in the
+// link) and a key (private, needed to push positions); the share expires on its own.
+// Pushes send the share key as their bearer token instead of the user's session.
+export const SHARE_MINUTES = 60
+const PUSH_INTERVAL_MS = 5000
+
+const sharePath = (id) => `/api/live-shares/${encodeURIComponent(id)}`
+
+export function liveShareUrl(id) {
+  return `${window.location.origin}/live/${encodeURIComponent(id)}`
+}
+
+export async function createLiveShare() {
+  const data = await api('/api/live-shares', { method: 'POST', json: { expires_in_min: SHARE_MINUTES } })
+  return data?.share || data // { id, key, expires_at }
+}
+
+export async function pushLiveShare(share, fix) {
+  await api(sharePath(share.id), {
+    method: 'PUT',
+    token: share.key,
+    json: {
+      lat: fix.position[0],
+      lng: fix.position[1],
+      accuracy: fix.accuracy,
+      heading: fix.heading
+    }
+  })
+}
+
+export function endLiveShare(share) {
+  api(sharePath(share.id), { method: 'DELETE', token: share.key, keepalive: true }).catch(() => {})
+}
+
+// Read side, used by the public /live/:id page. A share past its expires_at counts as
+// expired even if the backend still serves its last position.
+export async function fetchLiveShare(id, { signal } = {}) {
+  try {
+    const data = await api(sharePath(id), { signal })
+    const share = data?.share || data // { name, lat, lng, accuracy, heading, updated_at, expires_at }
+    if (share?.expires_at && new Date(share.expires_at).getTime() <= Date.now()) return { expired: true }
+    return share
+  } catch (e) {
+    if (e.status === 404 || e.status === 410) return { expired: true }
+    throw e
+  }
+}
+
+export function shouldPush(lastPushedAt) {
+  return !lastPushedAt || Date.now() - lastPushedAt >= PUSH_INTERVAL_MS
+}
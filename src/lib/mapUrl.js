@@ -0,0 +1,28 @@
+import { serviceKeys } from './services'
+
+// Map filters and view kept in the query string so a refresh or a shared link restores them:
+//   /?services=mechanic,tow_truck&at=33.68420,73.04790,14
+
+// Known types only, in canonical order, so the same filter always gives the same URL
+export function parseServices(value) {
+  const picked = new Set((value || '').split(','))
+  return serviceKeys.filter((k) => picked.has(k))
+}
+
+export function formatServices(list) {
+  const picked = parseServices(list.join(','))
+  // Every type selected is the same as no filter
+  return picked.length === serviceKeys.length ? '' : picked.join(',')
+}
+
+export function parseView(value) {
+  const [lat, lng, zoom] = (value || '').split(',').map(Number)
+  if (![lat, lng, zoom].every(Number.isFinite)) return null
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+  return { center: [lat, lng], zoom: Math.round(Math.min(19, Math.max(3, zoom))) }
+}
+
+// ~1 m precision is plenty and keeps the link short
+export function formatView(center, zoom) {
+  return `${center.lat.toFixed(5)},${center.lng.toFixed(5)},${zoom}`
+}
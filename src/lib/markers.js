@@ -0,0 +1,67 @@
+import L from 'leaflet'
+import { serviceIcons } from './services'
+
+const FALLBACK_GLYPH = '📍'
+const iconCache = new Map()
+
+// Round pin with the service glyph, filled with the active theme colour
+export function vendorIcon(serviceType, theme) {
+  const key = `${serviceType}|${theme.primaryBg}`
+  if (!iconCache.has(key)) {
+    iconCache.set(key, L.divIcon({
+      className: '',
+      html: `<div class="flex h-8 w-8 items-center justify-center rounded-full border-2 border-white shadow-md text-base ${theme.primaryBg}">${serviceIcons[serviceType] || FALLBACK_GLYPH}</div>`,
+      iconSize: [32, 32],
+      iconAnchor: [16, 16],
+      popupAnchor: [0, -16]
+    }))
+  }
+  return iconCache.get(key)
+}
+
+// Cluster bubble with the total and a per-service breakdown, e.g. "🔧3 🏨2"
+export function clusterIconFactory(theme) {
+  return (cluster) => {
+    const counts = {}
+    for (const m of cluster.getAllChildMarkers()) {
+      const k = m.options.serviceType || ''
+      counts[k] = (counts[k] || 0) + 1
+    }
+    const breakdown = Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 4)
+      .map(([k, n]) => `<span class="whitespace-nowrap">${serviceIcons[k] || FALLBACK_GLYPH}${n}</span>`)
+      .join('')
+    return L.divIcon({
+      className: '',
+      html: `<div class="flex flex-col items-center" dir="ltr">
+        <div class="flex h-10 w-10 items-center justify-center rounded-full border-2 border-white shadow-lg text-sm font-bold text-white ${theme.primaryBg}">${cluster.getChildCount()}</div>
+        <div class="mt-0.5 flex gap-1 rounded-full bg-surface px-1.5 py-0.5 text-[10px] text-gray-700 shadow">${breakdown}</div>
+      </div>`,
+      iconSize: [80, 60],
+      iconAnchor: [40, 20]
+    })
+  }
+}
+
+// Blue "you" dot; when the device reports a heading it gets a direction cone.
+// Headings are rounded so a walking user reuses a handful of icons.
+export function youIcon(heading) {
+  const deg = heading == null || Number.isNaN(heading) ? null : Math.round(heading / 15) * 15 % 360
+  const key = `you|${deg}`
+  if (!iconCache.has(key)) {
+    const cone = deg == null ? '' : `<div class="absolute inset-0" style="transform: rotate(${deg}deg)">
+        <div class="mx-auto h-0 w-0 border-x-[7px] border-b-[12px] border-x-transparent border-b-blue-500/70 -mt-2"></div>
+      </div>`
+    iconCache.set(key, L.divIcon({
+      className: '',
+      html: `<div class="relative h-7 w-7">${cone}
+        <div class="absolute inset-1.5 rounded-full border-2 border-white bg-blue-600 shadow-md"></div>
+      </div>`,
+      iconSize: [28, 28],
+      iconAnchor: [14, 14],
+      popupAnchor: [0, -14]
+    }))
+  }
+  return iconCache.get(key)
+}
@@ -0,0 +1,70 @@
+import { distanceKm } from './geo'
+
+// Last /api/vendors/nearby responses, kept in IndexedDB so the map is not empty offline
+const DB_NAME = 'madad'
+const STORE = 'nearby'
+const MAX_ENTRIES = 20
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1)
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'key' })
+      store.createIndex('savedAt', 'savedAt')
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function run(mode, fn) {
+  return openDb().then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const req = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(req.result)
+    tx.onerror = () => reject(tx.error)
+  }))
+}
+
+// ~1 km grid so small GPS jitter still hits the same entry
+export function nearbyKey([lat, lng], serviceType) {
+  return `${lat.toFixed(2)},${lng.toFixed(2)}|${serviceType || 'all'}`
+}
+
+const keyCenter = (key) => key.split('|')[0].split(',').map(Number)
+
+export async function saveNearby(key, { vendors, radiusKm, serviceType }) {
+  try {
+    await run('readwrite', (store) => store.put({ key, vendors, radiusKm, serviceType, savedAt: Date.now() }))
+    await run('readwrite', (store) => {
+      const req = store.index('savedAt').openCursor(null, 'prev')
+      let seen = 0
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor) return
+        if (++seen > MAX_ENTRIES) cursor.delete()
+        cursor.continue()
+      }
+      return req
+    })
+  } catch {
+    // private browsing or storage full: offline cache is best-effort
+  }
+}
+
+// Exact area first, otherwise the most recent response for the same service filter whose
+// search circle covers this spot; results from another area are never offered as nearby
+export async function loadNearby(key, serviceType) {
+  try {
+    const exact = await run('readonly', (store) => store.get(key))
+    if (exact) return exact
+    const here = keyCenter(key)
+    const all = await run('readonly', (store) => store.getAll())
+    return all
+      .filter((e) => (e.serviceType || '') === (serviceType || ''))
+      .filter((e) => distanceKm(here, keyCenter(e.key)) <= (e.radiusKm || 0))
+      .sort((a, b) => b.savedAt - a.savedAt)[0] || null
+  } catch {
+    return null
+  }
+}
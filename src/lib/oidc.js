@@ -0,0 +1,117 @@
+import { api, backend } from './api'
+
+// Google / Apple (and any other OIDC) sign-in. The browser runs the authorization-code
+// flow with PKCE; the backend exchanges the code, checks the ID token and answers with
+// a normal session, or asks to link the identity to an existing phone/email account.
+//
+//   VITE_GOOGLE_CLIENT_ID, VITE_APPLE_CLIENT_ID   enable the real providers
+//   VITE_OIDC_MOCK_ISSUER=http://localhost:9400   adds a button for a local mock OIDC server
+//   VITE_OIDC_MOCK_CLIENT_ID                      (default: madad-dev)
+const env = import.meta.env
+const PENDING_KEY = 'madad_oidc_pending'
+
+const callbackUri = () => `${window.location.origin}/auth/callback`
+
+const providers = {
+  google: {
+    label: 'Google',
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    clientId: env.VITE_GOOGLE_CLIENT_ID,
+    scope: 'openid email profile'
+  },
+  // Apple only returns name/email with form_post, so it posts to the backend, which
+  // redirects on to /auth/callback with the same query parameters
+  apple: {
+    label: 'Apple',
+    authorizeUrl: 'https://appleid.apple.com/auth/authorize',
+    clientId: env.VITE_APPLE_CLIENT_ID,
+    scope: 'openid email name',
+    responseMode: 'form_post',
+    redirectUri: () => `${backend || window.location.origin}/api/auth/oidc/apple/return`
+  },
+  mock: {
+    label: 'Mock OIDC',
+    authorizeUrl: env.VITE_OIDC_MOCK_ISSUER && `${env.VITE_OIDC_MOCK_ISSUER.replace(/\/$/, '')}/authorize`,
+    clientId: env.VITE_OIDC_MOCK_ISSUER && (env.VITE_OIDC_MOCK_CLIENT_ID || 'madad-dev'),
+    scope: 'openid email profile'
+  }
+}
+
+export function registerOidcProvider(name, config) {
+  providers[name] = config
+}
+
+export function oidcProviders() {
+  return Object.entries(providers)
+    .filter(([, p]) => p.clientId && p.authorizeUrl)
+    .map(([name, p]) => ({ name, label: p.label }))
+}
+
+function randomString(bytes = 32) {
+  return base64url(crypto.getRandomValues(new Uint8Array(bytes)))
+}
+
+function base64url(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+async function pkceChallenge(verifier) {
+  return base64url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)))
+}
+
+// Leaves the app for the provider; the callback page picks the flow up again
+export async function startOidcSignIn(name, { returnTo = '/' } = {}) {
+  const p = providers[name]
+  const state = randomString()
+  const nonce = randomString()
+  const verifier = randomString(48)
+  const redirectUri = p.redirectUri ? p.redirectUri() : callbackUri()
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({ provider: name, state, nonce, verifier, redirectUri, returnTo }))
+
+  const params = new URLSearchParams({
+    client_id: p.clientId,
+    response_type: 'code',
+    scope: p.scope,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: await pkceChallenge(verifier),
+    code_challenge_method: 'S256'
+  })
+  if (p.responseMode) params.set('response_mode', p.responseMode)
+  window.location.assign(`${p.authorizeUrl}?${params.toString()}`)
+}
+
+// The pending flow is single-use: read and forget
+export function takePendingOidc() {
+  try {
+    const pending = JSON.parse(sessionStorage.getItem(PENDING_KEY))
+    sessionStorage.removeItem(PENDING_KEY)
+    return pending
+  } catch {
+    return null
+  }
+}
+
+// Resolves to a session ({ access_token, user }) or, when the provider's email/phone
+// already belongs to an account, { link_required, link_token, existing: { email, phone } }
+export function completeOidcSignIn(pending, code) {
+  return api('/api/auth/oidc/callback', {
+    method: 'POST',
+    json: {
+      provider: pending.provider,
+      code,
+      code_verifier: pending.verifier,
+      redirect_uri: pending.redirectUri,
+      nonce: pending.nonce
+    }
+  })
+}
+
+// Proves ownership of the existing account with its password or a one-time code
+export function linkOidcAccount({ linkToken, password, code }) {
+  return api('/api/auth/oidc/link', {
+    method: 'POST',
+    json: { link_token: linkToken, password: password || undefined, code: code || undefined }
+  })
+}
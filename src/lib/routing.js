@@ -0,0 +1,50 @@
+// Driving routes drawn inside the map. Providers are pluggable; the default speaks the
+// OSRM HTTP API, so a locally run osrm-backend works by pointing VITE_ROUTING_URL at it.
+//
+//   VITE_ROUTING_PROVIDER=osrm              (default)
+//   VITE_ROUTING_URL=http://localhost:5000  (default: the public OSRM demo server)
+//
+// A provider is `{ route(from, to, { signal }) }` resolving to
+// `{ coordinates: [[lat, lng], ...], distanceKm, durationMin }`.
+
+const providers = {
+  osrm: ({ url = 'https://router.project-osrm.org', profile = 'driving' } = {}) => ({
+    async route(from, to, { signal } = {}) {
+      // OSRM takes lng,lat pairs
+      const coords = `${from[1]},${from[0]};${to[1]},${to[0]}`
+      const res = await fetch(`${url.replace(/\/$/, '')}/route/v1/${profile}/${coords}?overview=full&geometries=geojson`, { signal })
+      if (!res.ok) throw new Error('Routing failed')
+      const data = await res.json()
+      const best = data.routes?.[0]
+      if (data.code !== 'Ok' || !best) throw new Error('No route found')
+      return {
+        coordinates: best.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+        distanceKm: best.distance / 1000,
+        durationMin: best.duration / 60
+      }
+    }
+  })
+}
+
+export function registerRoutingProvider(name, factory) {
+  providers[name] = factory
+}
+
+let router = null
+
+export function getRouter() {
+  if (!router) {
+    const name = import.meta.env.VITE_ROUTING_PROVIDER || 'osrm'
+    const factory = providers[name] || providers.osrm
+    router = factory({ url: import.meta.env.VITE_ROUTING_URL || undefined })
+  }
+  return router
+}
+
+export function formatDuration(min, tr) {
+  const total = Math.max(1, Math.round(min))
+  if (total < 60) return tr('route.minutes', { n: total })
+  const h = Math.floor(total / 60)
+  const m = total % 60
+  return m ? tr('route.hoursMinutes', { h, m }) : tr('route.hours', { h })
+}
@@ -0,0 +1,23 @@
+// English names and the canonical list of service types; UI labels come from src/i18n
+export const serviceLabels = {
+  tow_truck: 'Tow Truck',
+  mechanic: 'Mechanic',
+  hotel: 'Hotel',
+  medical: 'Medical',
+  car_wash: 'Car Wash',
+  electrician: 'Electrician',
+  plumber: 'Plumber'
+}
+
+export const serviceKeys = Object.keys(serviceLabels)
+
+// Glyphs drawn inside map pins and cluster badges
+export const serviceIcons = {
+  tow_truck: '🛻',
+  mechanic: '🔧',
+  hotel: '🏨',
+  medical: '🏥',
+  car_wash: '🧽',
+  electrician: '⚡',
+  plumber: '🚰'
+}
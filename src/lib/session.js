@@ -0,0 +1,44 @@
+// The signed-in session in localStorage. The access token is short-lived; the refresh
+// token is rotated by the API client whenever it is used.
+const TOKEN_KEY = 'madad_token'
+const REFRESH_KEY = 'madad_refresh_token'
+const USER_KEY = 'madad_user'
+const ACCOUNT_FAVORITES_KEY = 'madad_favorites_account'
+const FAVORITES_PENDING_KEY = 'madad_favorites_pending'
+
+export function accessToken() {
+  return localStorage.getItem(TOKEN_KEY)
+}
+
+export function refreshToken() {
+  return localStorage.getItem(REFRESH_KEY)
+}
+
+export function storedUser() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY)) || null
+  } catch {
+    return null
+  }
+}
+
+// Stores any sign-in or refresh response ({ access_token, refresh_token?, user? })
+export function saveSession(data) {
+  localStorage.setItem(TOKEN_KEY, data.access_token)
+  if (data.refresh_token) localStorage.setItem(REFRESH_KEY, data.refresh_token)
+  if (data.user) saveUser(data.user)
+  return { token: data.access_token, user: data.user || storedUser() }
+}
+
+export function saveUser(user) {
+  localStorage.setItem(USER_KEY, JSON.stringify(user))
+}
+
+// Also drops the local copy of account data such as favorites
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY)
+  localStorage.removeItem(REFRESH_KEY)
+  localStorage.removeItem(USER_KEY)
+  localStorage.removeItem(ACCOUNT_FAVORITES_KEY)
+  localStorage.removeItem(FAVORITES_PENDING_KEY)
+}
@@ -0,0 +1,112 @@
+// Colour themes as CSS-variable design tokens. Components only use the token classes in
+// `themeClasses` (bg-primary, text-primary-text, …, see tailwind.config.js); picking a theme,
+// a custom accent or dark mode just rewrites the variables on <html>.
+
+// Preset accents; every other primary shade is derived from the accent
+export const themes = {
+  emerald: { name: 'Emerald', accent: '#059669' },
+  sky: { name: 'Sky', accent: '#0284c7' },
+  fuchsia: { name: 'Fuchsia', accent: '#c026d3' },
+  amber: { name: 'Amber', accent: '#d97706' },
+  lime: { name: 'Lime', accent: '#65a30d' }
+}
+export const themeKeys = Object.keys(themes)
+export const CUSTOM_THEME = 'custom'
+export const COLOR_MODES = ['system', 'light', 'dark']
+
+export const themeClasses = {
+  primaryBg: 'bg-primary',
+  primaryBgHover: 'hover:bg-primary-hover',
+  primaryText: 'text-primary-text',
+  ring: 'focus:ring-primary',
+  border: 'border-primary-soft',
+  chipActiveBorder: 'border-primary'
+}
+
+export const APPEARANCE_CHANGED = 'madad:appearance'
+
+const DEFAULT_THEME = 'emerald'
+const DEFAULT_CUSTOM_ACCENT = '#7c3aed'
+// Must match --color-surface in index.css
+const SURFACE = { light: '#ffffff', dark: '#111827' }
+// Buttons put white text on the accent, so very light custom colours are darkened to this
+const MAX_ACCENT_LUMINANCE = 0.3
+
+const isHex = (v) => /^#[0-9a-f]{6}$/i.test(v || '')
+
+export function loadAppearance() {
+  const theme = localStorage.getItem('madad_theme')
+  const accent = localStorage.getItem('madad_accent')
+  const mode = localStorage.getItem('madad_color_mode')
+  return {
+    theme: theme === CUSTOM_THEME || themes[theme] ? theme : DEFAULT_THEME,
+    accent: isHex(accent) ? accent : DEFAULT_CUSTOM_ACCENT,
+    mode: COLOR_MODES.includes(mode) ? mode : 'system'
+  }
+}
+
+// Stores the changed settings and lets every open view (and other components) re-read them
+export function saveAppearance(changes) {
+  const next = { ...loadAppearance(), ...changes }
+  localStorage.setItem('madad_theme', next.theme)
+  localStorage.setItem('madad_accent', next.accent)
+  localStorage.setItem('madad_color_mode', next.mode)
+  window.dispatchEvent(new Event(APPEARANCE_CHANGED))
+  return next
+}
+
+export const systemDarkQuery = () => window.matchMedia('(prefers-color-scheme: dark)')
+
+export function isDarkMode(mode, systemDark = systemDarkQuery().matches) {
+  return mode === 'dark' || (mode === 'system' && systemDark)
+}
+
+const toRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16))
+
+// `weight` of `b` mixed into `a`
+function mix(a, b, weight) {
+  const [ca, cb] = [toRgb(a), toRgb(b)]
+  const rgb = ca.map((c, i) => Math.round(c + (cb[i] - c) * weight))
+  return `#${rgb.map((c) => c.toString(16).padStart(2, '0')).join('')}`
+}
+
+function luminance(hex) {
+  const [r, g, b] = toRgb(hex).map((c) => {
+    const s = c / 255
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4
+  })
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+function readableAccent(hex) {
+  let accent = hex
+  for (let i = 0; i < 10 && luminance(accent) > MAX_ACCENT_LUMINANCE; i++) accent = mix(accent, '#000000', 0.1)
+  return accent
+}
+
+// Tokens are "r g b" triplets so Tailwind's opacity modifiers (bg-primary/20) still work
+export function applyAppearance({ theme, accent, mode }) {
+  const dark = isDarkMode(mode)
+  const base = theme === CUSTOM_THEME ? readableAccent(accent) : (themes[theme] || themes[DEFAULT_THEME]).accent
+  const surface = dark ? SURFACE.dark : SURFACE.light
+  const tokens = {
+    '--color-primary': base,
+    '--color-primary-hover': mix(base, '#000000', 0.15),
+    '--color-primary-text': dark ? mix(base, '#ffffff', 0.35) : mix(base, '#000000', 0.15),
+    '--color-primary-soft': mix(base, surface, 0.7),
+    '--color-primary-tint': mix(base, surface, 0.92)
+  }
+  const root = document.documentElement
+  root.classList.toggle('dark', dark)
+  root.style.colorScheme = dark ? 'dark' : 'light'
+  for (const [name, hex] of Object.entries(tokens)) root.style.setProperty(name, toRgb(hex).join(' '))
+}
+
+// Called once at startup: applies the saved appearance and keeps it in step with later
+// changes, including the system switching between light and dark
+export function watchAppearance() {
+  const apply = () => applyAppearance(loadAppearance())
+  apply()
+  window.addEventListener(APPEARANCE_CHANGED, apply)
+  systemDarkQuery().addEventListener('change', apply)
+}
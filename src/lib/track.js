@@ -0,0 +1,16 @@
+import { api, backend } from './api'
+
+// Counts detail-page views and Call Now / Get Directions taps for the owner dashboard
+// ('view' | 'call' | 'directions'). Fire-and-forget: sendBeacon survives the page
+// switching to the dialer or Maps.
+export function trackVendorEvent(vendorId, type) {
+  if (!vendorId) return
+  const path = `/api/vendors/${encodeURIComponent(vendorId)}/events`
+  try {
+    if (navigator.sendBeacon?.(`${backend}${path}`, new Blob([JSON.stringify({ type })], { type: 'application/json' }))) return
+  } catch {
+    // Some browsers refuse a cross-origin JSON beacon; fall back to fetch
+  }
+  // stats are best-effort
+  api(path, { method: 'POST', json: { type }, keepalive: true }).catch(() => {})
+}
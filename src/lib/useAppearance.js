@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react'
+import { APPEARANCE_CHANGED, isDarkMode, loadAppearance, systemDarkQuery } from './themes'
+
+// Current theme settings plus whether dark mode is on right now; change them with saveAppearance
+export default function useAppearance() {
+  const [appearance, setAppearance] = useState(loadAppearance)
+  const [systemDark, setSystemDark] = useState(() => systemDarkQuery().matches)
+
+  useEffect(() => {
+    const reload = () => setAppearance(loadAppearance())
+    const query = systemDarkQuery()
+    const system = (e) => setSystemDark(e.matches)
+    window.addEventListener(APPEARANCE_CHANGED, reload)
+    query.addEventListener('change', system)
+    return () => {
+      window.removeEventListener(APPEARANCE_CHANGED, reload)
+      query.removeEventListener('change', system)
+    }
+  }, [])
+
+  return { ...appearance, dark: isDarkMode(appearance.mode, systemDark) }
+}
@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react'
+import { fetchCorridorVendors } from './corridor'
+import useRoute from './useRoute'
+
+// Route between two picked points plus the vendors along it; the vendor search reruns
+// when the route, the service filter or the buffer changes
+export default function useCorridor(from, to, serviceType, bufferKm) {
+  const routeState = useRoute(from, to)
+  const { route } = routeState
+  const [state, setState] = useState({ vendors: [], searching: false, failed: false })
+
+  useEffect(() => {
+    if (!route) {
+      setState({ vendors: [], searching: false, failed: false })
+      return
+    }
+    const controller = new AbortController()
+    setState((s) => ({ ...s, searching: true, failed: false }))
+    fetchCorridorVendors({ route, serviceType, bufferKm, signal: controller.signal })
+      .then((vendors) => setState({ vendors, searching: false, failed: false }))
+      .catch((e) => {
+        if (e.name !== 'AbortError') setState({ vendors: [], searching: false, failed: true })
+      })
+    return () => controller.abort()
+  }, [route, serviceType, bufferKm])
+
+  return { ...routeState, ...state }
+}
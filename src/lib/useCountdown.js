@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react'
+
+// Seconds left until something (e.g. resending a code) is allowed again
+export default function useCountdown() {
+  const [left, setLeft] = useState(0)
+
+  useEffect(() => {
+    if (left <= 0) return
+    const timer = setTimeout(() => setLeft((s) => s - 1), 1000)
+    return () => clearTimeout(timer)
+  }, [left])
+
+  return [left, setLeft]
+}
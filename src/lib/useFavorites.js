@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react'
+import {
+  loadFavorites, storeFavorites, clearGuestFavorites, localKey, vendorSnapshot, mergeFavorites,
+  fetchAccountFavorites, syncAccountFavorites, hasPendingSync
+} from './favorites'
+
+// Favorites for the current user. Signing in moves anything starred as a guest onto
+// the account; changes are written locally first and then synced in the background.
+// Edits that could not be synced (offline) win over the account copy on the next load.
+export default function useFavorites(token) {
+  const signedIn = !!token
+  const [favorites, setFavorites] = useState(() => loadFavorites(localKey(signedIn)))
+
+  useEffect(() => {
+    setFavorites(loadFavorites(localKey(signedIn)))
+    if (!signedIn) return
+    let cancelled = false
+    fetchAccountFavorites()
+      .then((remote) => {
+        if (cancelled) return
+        const guest = loadFavorites(localKey(false))
+        const pending = hasPendingSync()
+        const merged = mergeFavorites(pending ? loadFavorites(localKey(true)) : remote, guest)
+        storeFavorites(localKey(true), merged)
+        setFavorites(merged)
+        if (pending || guest.vendors.length || guest.places.length) {
+          syncAccountFavorites(merged).then(clearGuestFavorites).catch(() => {})
+        }
+      })
+      .catch(() => {
+        // offline: keep showing the local copy
+      })
+    return () => { cancelled = true }
+  }, [signedIn])
+
+  const update = (next) => {
+    setFavorites(next)
+    storeFavorites(localKey(signedIn), next)
+    if (signedIn) syncAccountFavorites(next).catch(() => {})
+  }
+
+  const isFavorite = (id) => favorites.vendors.some((v) => v.id === id)
+
+  const toggleVendor = (vendor) => update({
+    ...favorites,
+    vendors: isFavorite(vendor.id)
+      ? favorites.vendors.filter((v) => v.id !== vendor.id)
+      : [vendorSnapshot(vendor), ...favorites.vendors]
+  })
+
+  // Saving a name that already exists moves that place instead of adding a second one
+  const savePlace = (name, [lat, lng]) => {
+    const existing = favorites.places.find((p) => p.name.toLowerCase() === name.toLowerCase())
+    const place = { id: existing?.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name, lat, lng }
+    update({ ...favorites, places: [place, ...favorites.places.filter((p) => p.id !== place.id)] })
+  }
+
+  const removePlace = (id) => update({ ...favorites, places: favorites.places.filter((p) => p.id !== id) })
+
+  return { ...favorites, isFavorite, toggleVendor, savePlace, removePlace }
+}
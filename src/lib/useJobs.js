@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react'
+import { fetchJobs, subscribeJobs } from './jobs'
+
+const upsert = (list, job) => (list.some((j) => j.id === job.id)
+  ? list.map((j) => (j.id === job.id ? { ...j, ...job } : j))
+  : [job, ...list])
+
+// Jobs the user sent and jobs sent to their listings, kept current by one event stream.
+// Each event names which side of the job the receiving user is on.
+export default function useJobs(token) {
+  const [jobs, setJobs] = useState({ requester: [], vendor: [] })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(false)
+  const [live, setLive] = useState(false)
+
+  useEffect(() => {
+    if (!token) return
+    let cancelled = false
+    let opened = false
+    const load = () => Promise.all([fetchJobs('requester'), fetchJobs('vendor')])
+      .then(([requester, vendor]) => {
+        if (cancelled) return
+        setJobs({ requester, vendor })
+        setError(false)
+      })
+      .catch(() => !cancelled && setError(true))
+
+    setLoading(true)
+    load().finally(() => !cancelled && setLoading(false))
+
+    const unsubscribe = subscribeJobs({
+      // Changes made while the stream was down were never pushed, so reload on a reconnect
+      onStatus: (up) => {
+        setLive(up)
+        if (up && opened) load()
+        if (up) opened = true
+      },
+      onJob: ({ role, job }) => {
+        if (role === 'requester' || role === 'vendor') setJobs((all) => ({ ...all, [role]: upsert(all[role], job) }))
+      }
+    })
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [token])
+
+  // Applied straight after an action, before the stream echoes it back
+  const replace = (role, job) => setJobs((all) => ({ ...all, [role]: upsert(all[role], job) }))
+
+  return { jobs, loading, error, live, replace }
+}
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react'
+
+// Continuous position while `active`; the watch is cleared as soon as tracking stops
+export default function useLiveLocation(active) {
+  const [fix, setFix] = useState(null) // { position, accuracy, heading, at }
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!active) {
+      setFix(null)
+      return
+    }
+    if (!navigator.geolocation) {
+      setError('unsupported')
+      return
+    }
+    setError('')
+    const id = navigator.geolocation.watchPosition(
+      (pos) => {
+        const { latitude, longitude, accuracy, heading } = pos.coords
+        setFix({ position: [latitude, longitude], accuracy, heading, at: pos.timestamp })
+      },
+      (e) => setError(e.code === e.PERMISSION_DENIED ? 'denied' : 'unavailable'),
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+    )
+    return () => navigator.geolocation.clearWatch(id)
+  }, [active])
+
+  return { fix, error }
+}
@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react'
+import { getRouter } from './routing'
+
+// Route between two [lat, lng] points; refetched only when the coordinates change
+export default function useRoute(from, to) {
+  const [state, setState] = useState({ route: null, loading: false, error: '' })
+  const fromKey = from ? from.join(',') : ''
+  const toKey = to ? to.join(',') : ''
+
+  useEffect(() => {
+    if (!fromKey || !toKey) {
+      setState({ route: null, loading: false, error: '' })
+      return
+    }
+    const controller = new AbortController()
+    setState({ route: null, loading: true, error: '' })
+    getRouter()
+      .route(fromKey.split(',').map(Number), toKey.split(',').map(Number), { signal: controller.signal })
+      .then((route) => setState({ route, loading: false, error: '' }))
+      .catch((e) => {
+        if (e.name !== 'AbortError') setState({ route: null, loading: false, error: e.message })
+      })
+    return () => controller.abort()
+  }, [fromKey, toKey])
+
+  return state
+}
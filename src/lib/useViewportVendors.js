@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from 'react'
+import { distanceKm } from './geo'
+import { fetchNearby } from './vendors'
+
+// The visible map is split into grid cells; each cell is fetched once through the
+// nearby API (a circle around its centre that covers the corners) and then reused.
+const DEBOUNCE_MS = 350
+const CELL_TTL_MS = 5 * 60 * 1000
+const MAX_CELLS = 24
+const MAX_CACHED_CELLS = 200
+const MIN_ZOOM = 10
+
+// Coarser cells when zoomed out keep the request count bounded
+function cellSizeFor(zoom) {
+  if (zoom >= 14) return 0.02
+  if (zoom >= 12) return 0.05
+  return 0.2
+}
+
+function cellsFor(bounds, zoom) {
+  const size = cellSizeFor(zoom)
+  const cells = []
+  const south = Math.floor(bounds.getSouth() / size)
+  const north = Math.floor(bounds.getNorth() / size)
+  const west = Math.floor(bounds.getWest() / size)
+  const east = Math.floor(bounds.getEast() / size)
+  for (let y = south; y <= north; y++) {
+    for (let x = west; x <= east; x++) {
+      cells.push({ key: `${size}:${y}:${x}`, size, y, x })
+    }
+  }
+  return cells
+}
+
+function fetchCell(cell, serviceType, signal) {
+  const { size, y, x } = cell
+  const center = [(y + 0.5) * size, (x + 0.5) * size]
+  const radiusKm = distanceKm(center, [y * size, x * size])
+  return fetchNearby({ position: center, serviceType, radiusKm: Number(radiusKm.toFixed(2)), signal })
+}
+
+// Vendors inside the current map view; `view` is { bounds, zoom } from the map's moveend
+export default function useViewportVendors(serviceType, view) {
+  const cache = useRef(new Map())
+  const [vendors, setVendors] = useState([])
+  const [tooFar, setTooFar] = useState(false)
+
+  useEffect(() => {
+    if (!view) return
+    const controller = new AbortController()
+
+    const timer = setTimeout(async () => {
+      const cells = cellsFor(view.bounds, view.zoom)
+      if (view.zoom < MIN_ZOOM || cells.length > MAX_CELLS) {
+        setTooFar(true)
+        return
+      }
+      setTooFar(false)
+
+      const keyOf = (c) => `${serviceType || 'all'}|${c.key}`
+      const now = Date.now()
+      const missing = cells.filter((c) => {
+        const hit = cache.current.get(keyOf(c))
+        return !hit || now - hit.fetchedAt > CELL_TTL_MS
+      })
+
+      await Promise.all(missing.map(async (c) => {
+        try {
+          const list = await fetchCell(c, serviceType, controller.signal)
+          cache.current.set(keyOf(c), { vendors: list, fetchedAt: Date.now() })
+        } catch {
+          // aborted or failed: leave the cell uncached so the next pan retries it
+        }
+      }))
+      if (controller.signal.aborted) return
+
+      // Map keeps insertion order: re-inserting the visible cells makes them the newest, and
+      // the oldest are dropped so a long panning session does not grow the cache forever
+      const byId = new Map()
+      for (const c of cells) {
+        const hit = cache.current.get(keyOf(c))
+        if (!hit) continue
+        hit.vendors.forEach((v) => byId.set(v.id, v))
+        cache.current.delete(keyOf(c))
+        cache.current.set(keyOf(c), hit)
+      }
+      for (const key of cache.current.keys()) {
+        if (cache.current.size <= MAX_CACHED_CELLS) break
+        cache.current.delete(key)
+      }
+      setVendors([...byId.values()])
+    }, DEBOUNCE_MS)
+
+    // A newer view supersedes this one: drop the timer and any requests in flight
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [serviceType, view])
+
+  return { vendors, tooFar }
+}
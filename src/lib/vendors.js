@@ -0,0 +1,69 @@
+import { api } from './api'
+import { RADIUS_STEPS } from './geo'
+
+const vendorPath = (id) => `/api/vendors/${encodeURIComponent(id)}`
+
+// `serviceType` may list several types comma-separated; the API filters on one at a time
+export async function fetchNearby({ position, serviceType, radiusKm, signal, retries }) {
+  const types = serviceType ? serviceType.split(',') : []
+  if (types.length > 1) {
+    const lists = await Promise.all(types.map((t) => fetchNearby({ position, serviceType: t, radiusKm, signal, retries })))
+    return [...new Map(lists.flat().map((v) => [v.id, v])).values()]
+  }
+  const params = new URLSearchParams({
+    lat: String(position[0]),
+    lng: String(position[1]),
+    radius_km: String(radiusKm)
+  })
+  if (serviceType) params.set('service_type', serviceType)
+  const data = await api(`/api/vendors/nearby?${params.toString()}`, { signal, retries })
+  return data?.vendors || []
+}
+
+// Rural searches often come back empty, so widen step by step until something shows up
+export async function fetchNearbyVendors({ position, serviceType, radiusKm }) {
+  const steps = RADIUS_STEPS.filter((km) => km >= radiusKm)
+  let vendors = []
+  let searched = radiusKm
+  for (const km of steps.length ? steps : [radiusKm]) {
+    vendors = await fetchNearby({ position, serviceType, radiusKm: km })
+    searched = km
+    if (vendors.length) break
+  }
+  return { vendors, radiusKm: searched }
+}
+
+export async function fetchVendor(id) {
+  const data = await api(vendorPath(id))
+  return data?.vendor || data
+}
+
+export async function createVendor(payload) {
+  const data = await api('/api/vendors', { method: 'POST', json: payload })
+  return data?.vendor || data
+}
+
+export async function updateVendor(id, changes) {
+  const data = await api(vendorPath(id), { method: 'PATCH', json: changes })
+  return data?.vendor || data
+}
+
+// Listings owned by the signed-in user; `stats` adds the tap counters
+export async function fetchMyVendors({ stats = false } = {}) {
+  const data = await api(`/api/vendors/mine${stats ? '?include=stats' : ''}`)
+  return data?.vendors || []
+}
+
+export async function fetchReviews(vendorId) {
+  const data = await api(`${vendorPath(vendorId)}/reviews`)
+  return data?.reviews || []
+}
+
+// Resolves to { review, rating_avg, rating_count }
+export function postReview(vendorId, { rating, comment }) {
+  return api(`${vendorPath(vendorId)}/reviews`, { method: 'POST', json: { rating, comment } })
+}
+
+export function reportReview(reviewId) {
+  return api(`/api/reviews/${encodeURIComponent(reviewId)}/report`, { method: 'POST', json: {} })
+}
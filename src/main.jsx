@@ -3,15 +3,39 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App'
 import Test from './Test'
+import AddVendor from './AddVendor'
+import VendorDetail from './VendorDetail'
+import Subscribe from './Subscribe'
+import Subscriptions from './Subscriptions'
+import Admin from './Admin'
+import MyListings from './MyListings'
+import LiveShare from './LiveShare'
+import Jobs from './Jobs'
+import AuthCallback from './AuthCallback'
+import { I18nProvider } from './i18n'
+import { watchAppearance } from './lib/themes'
 import './index.css'
 
+watchAppearance()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/test" element={<Test />} />
-      </Routes>
-    </BrowserRouter>
+    <I18nProvider>
+      <BrowserRouter>
+        <Routes>
+          <Route path="/" element={<App />} />
+          <Route path="/test" element={<Test />} />
+          <Route path="/vendors/new" element={<AddVendor />} />
+          <Route path="/vendor/:id" element={<VendorDetail />} />
+          <Route path="/subscribe" element={<Subscribe />} />
+          <Route path="/subscriptions" element={<Subscriptions />} />
+          <Route path="/admin" element={<Admin />} />
+          <Route path="/my-listings" element={<MyListings />} />
+          <Route path="/live/:id" element={<LiveShare />} />
+          <Route path="/requests" element={<Jobs />} />
+          <Route path="/auth/callback" element={<AuthCallback />} />
+        </Routes>
+      </BrowserRouter>
+    </I18nProvider>
   </React.StrictMode>,
 )
\ No newline at end of file
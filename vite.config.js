@@ -1,8 +1,56 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['favicon.svg'],
+      manifest: {
+        name: 'Madad — help on the map',
+        short_name: 'Madad',
+        description: 'Find tow trucks, mechanics, hotels and medical help nearby',
+        theme_color: '#059669',
+        background_color: '#ffffff',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: 'favicon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }
+        ]
+      },
+      workbox: {
+        // App shell: every built asset is precached; SPA routes fall back to index.html
+        globPatterns: ['**/*.{js,css,html,svg,png}'],
+        navigateFallback: 'index.html',
+        navigateFallbackDenylist: [/^\/api\//],
+        runtimeCaching: [
+          {
+            // Recently viewed OpenStreetMap tiles, so the map still draws without signal.
+            // The /test page's reachability probes (?diag=) must go to the network, uncached.
+            urlPattern: /^https:\/\/[abc]\.tile\.openstreetmap\.org\/(?!.*[?&]diag=).*/,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'osm-tiles',
+              expiration: { maxEntries: 1000, maxAgeSeconds: 60 * 60 * 24 * 30 },
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          },
+          {
+            // Same for the dark-mode basemap
+            urlPattern: /^https:\/\/[a-d]\.basemaps\.cartocdn\.com\/(?!.*[?&]diag=).*/,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'carto-tiles',
+              expiration: { maxEntries: 1000, maxAgeSeconds: 60 * 60 * 24 * 30 },
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          }
+        ]
+      }
+    })
+  ],
   optimizeDeps: {
     // Exclude packages that shouldn't be pre-bundled
     exclude: [],
@@ -27,4 +75,4 @@ export default defineConfig({
       '127.0.0.1'
     ]
   }
-})
\ No newline at end of file
+})